@@ -11,9 +11,57 @@
  * @property {number} config.errorDisplayTime - Duration to show error messages (5000ms)
  * @property {boolean} config.enablePerformanceLogging - Flag to enable performance logging
  * @property {number} config.transitionDuration - Duration for UI transitions (200ms)
+ * @property {Function|null} config.confirmHandler - Replacement for the built-in wisp:confirm dialog (null)
+ * @property {boolean} config.viewTransitions - Run DOM updates inside document.startViewTransition when available (false)
+ * @property {boolean} config.morph - Patch components in place instead of replacing outerHTML (true)
+ * @property {string|null} config.endpoint - URL for component calls (null, uses the current URL)
+ * @property {Object|Function} config.headers - Extra request headers, or a (possibly async) function returning them ({})
+ * @property {string} config.credentials - fetch credentials mode ('same-origin')
+ * @property {number} config.timeout - Abort calls after this many ms (0, disabled)
+ * @property {number} config.retries - Retries for timeouts, network errors and 502/503/504 responses of model updates and wisp:retry actions (0)
+ * @property {number} config.retryDelay - Delay before the first retry, doubled on each attempt (500ms)
+ * @property {string|Function|null} config.csrfRefresh - URL or function providing a new CSRF token after a 419 (null, refetches the page)
+ * @property {Function|null} config.transport - Replacement for fetch(url, init) used by component calls (null)
+ * @property {string|null} config.streamEndpoint - URL of the wisp:stream push channel (null, uses the current URL)
+ * @property {string|Function} config.streamAdapter - 'sse', 'websocket' or a custom adapter function ('sse')
+ * @property {number} config.streamRetryDelay - Delay before the first reconnect, doubled on each attempt (1000ms)
+ * @property {Object} config.validationMessages - Overrides for validation messages keyed by rule name ({})
+ * @property {number} config.uploadChunkSize - Files larger than this are uploaded in chunks (5MB, 0 disables chunking)
+ * @property {string|null} config.uploadEndpoint - URL for file uploads (null, uses the current URL)
+ * @property {string} config.navigationTarget - Default element swapped by navigation ('#app')
+ * @property {number} config.navigationCacheSize - Pages kept in the navigation cache and history snapshots (10)
+ * @property {number} config.navigationCacheTtl - Lifetime of cached pages (30000ms)
+ * @property {string} config.queueStrategy - How overlapping calls to one component are handled: 'drop', 'abort', 'serialize' or 'none' ('drop')
+ * @property {string|null} config.errorEndpoint - URL that receives error reports (null)
+ * @property {number} config.errorReportBatchSize - Reports sent per request (10)
+ * @property {number} config.errorReportInterval - Delay before a partial batch is sent (2000ms)
+ * @property {number} config.errorReportRateLimit - Maximum reports per minute (20)
+ * @property {Function|null} config.beforeReport - Hook to scrub or drop a report (null)
  *
- * @property {Map} timers - Stores polling timers
+ * @property {Map} timers - Pollers keyed by their wisp:poll element
+ * @property {IntersectionObserver|null} pollObserver - Pauses pollers that are offscreen
  * @property {Map} pendingRequests - Tracks in-flight AJAX requests
+ * @property {Map} requestQueues - Per-component request queues keyed by wisp:id
+ * @property {Map} uploads - In-flight upload requests keyed by wisp:id
+ * @property {Map} deferredUpdates - wisp:model.defer values waiting for the next call, keyed by wisp:id
+ * @property {Map} components - Registry of hydrated components keyed by wisp:id
+ * @property {Set} browserEvents - Names of window events listened to for wisp:on
+ * @property {Map} streams - Open wisp:stream channels keyed by channel name
+ * @property {Map} pageCache - LRU cache of fetched pages keyed by URL
+ * @property {Map} pageSnapshots - Page snapshots keyed by history entry for back/forward
+ * @property {Map} prefetches - In-flight prefetch requests keyed by URL
+ * @property {AbortController|null} navigationController - Controller of the running navigation
+ * @property {number} historyIndex - Position of the current history entry, used to tell back from forward
+ * @property {number} confirmDialogs - Number of built-in confirm dialogs opened, used for their ids
+ * @property {Set|null} executedScripts - Keys of scripts that already ran during navigation
+ * @property {WeakSet} headElements - Stylesheets and meta tags that navigation added to the head
+ * @property {Array} offlineQueue - Actions waiting to be replayed when back online
+ * @property {Array} errorReports - Error reports waiting to be sent
+ * @property {Set} reportedErrors - Signatures of errors already reported
+ * @property {number[]} errorReportTimes - Timestamps of recent reports for rate limiting
+ * @property {WeakMap} bindings - Per-element binding state (model handlers, event directives, hydration flags, server and client error fields)
+ * @property {boolean} delegated - Whether the document-level event listeners are installed
+ * @property {Set} globalDirectives - Elements with .window or .outside event directives
  * @property {MutationObserver|null} observer - DOM mutation observer instance
  * @property {boolean} observerInit - Flag indicating if observer is initialized
  */
@@ -23,11 +71,64 @@ class Wisp {
         quietDebounce: 500,
         errorDisplayTime: 5000,
         enablePerformanceLogging: false,
-        transitionDuration: 200
+        transitionDuration: 200,
+        confirmHandler: null,
+        viewTransitions: false,
+        morph: true,
+        endpoint: null,
+        headers: {},
+        credentials: 'same-origin',
+        timeout: 0,
+        retries: 0,
+        retryDelay: 500,
+        csrfRefresh: null,
+        transport: null,
+        streamEndpoint: null,
+        streamAdapter: 'sse',
+        streamRetryDelay: 1000,
+        navigationTarget: '#app',
+        navigationCacheSize: 10,
+        navigationCacheTtl: 30000,
+        queueStrategy: 'drop',
+        validationMessages: {},
+        uploadChunkSize: 5 * 1024 * 1024,
+        uploadEndpoint: null,
+        errorEndpoint: null,
+        errorReportBatchSize: 10,
+        errorReportInterval: 2000,
+        errorReportRateLimit: 20,
+        beforeReport: null
     };
 
     static timers = new Map();
+    static pollObserver = null;
     static pendingRequests = new Map();
+    static requestQueues = new Map();
+    static uploads = new Map();
+    static deferredUpdates = new Map();
+    static components = new Map();
+    static browserEvents = new Set();
+    static streams = new Map();
+    static bindings = new WeakMap();
+    static delegated = false;
+    static globalDirectives = new Set();
+    static pageCache = new Map();
+    static pageSnapshots = new Map();
+    static prefetches = new Map();
+    static prefetchObserver = null;
+    static navigationController = null;
+    static currentHistoryKey = null;
+    static historyIndex = 0;
+    static confirmDialogs = 0;
+    static executedScripts = null;
+    static headElements = new WeakSet();
+    static offlineQueue = [];
+    static offlineReplaying = false;
+    static offlineDB = null;
+    static errorReports = [];
+    static reportedErrors = new Set();
+    static errorReportTimes = [];
+    static errorReportTimer = null;
     static observer = null;
     static observerInit = false;
 
@@ -39,9 +140,15 @@ class Wisp {
     static init(userConfig = {}) {
         Wisp.initErrorHandling();
         this.config = { ...this.config, ...userConfig };
-        this.bind();
+        if (window.__SSR_MODE__) {
+            this.hydrate();
+        } else {
+            this.bind();
+        }
         this.setupObserver();
         this.setupNavigationListener()
+        this.setupOfflineQueue();
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
         window.addEventListener('beforeunload', () => this.cleanup());
     }
 
@@ -53,22 +160,34 @@ class Wisp {
      * @param {string} method - Method to call
      * @param {Object} [payload={}] - Data to send
      * @param {HTMLElement|null} [triggerElement=null] - Element that triggered the call
+     * @param {Object} [options={}] - Call options
+     * @param {boolean} [options.sendDeferred=false] - Send the component's wisp:model.defer values along
      * @returns {Promise<Object>} Response data from server
      * @throws {Error} If component or method is missing
+     * @description
+     * Deferred model values are only sent when `options.sendDeferred` is set, which
+     * wisp:click, wisp:submit and other event directives do. Polls, wisp:on and stream
+     * calls leave them waiting for the next user action.
      */
-    static async call(component, method, payload = {}, triggerElement = null) {
+    static async call(component, method, payload = {}, triggerElement = null, { sendDeferred = false } = {}) {
         if (!component || !method) {
             this.throwWispError('Component and method parameters are required', true);
         }
 
-        const requestKey = `${component}:${method}:${JSON.stringify(payload)}`;
+        const componentEl = triggerElement?.closest(`[wisp\\:component="${component}"]`);
+        const queueKey = componentEl?.getAttribute('wisp:id') || component;
+        const requestKey = `${queueKey}:${method}:${JSON.stringify(payload)}`;
 
         if (this.pendingRequests.has(requestKey)) {
             return this.pendingRequests.get(requestKey);
         }
 
+        const strategy = triggerElement?.closest('[wisp\\:queue]')?.getAttribute('wisp:queue') || this.config.queueStrategy;
+
         try {
-            const promise = this._executeCall(component, method, payload, triggerElement);
+            const promise = this._enqueueCall(queueKey, strategy, options =>
+                this._executeCall(component, method, payload, triggerElement, { ...options, sendDeferred })
+            );
             this.pendingRequests.set(requestKey, promise);
             const result = await promise;
             return result;
@@ -77,6 +196,275 @@ class Wisp {
         }
     }
 
+    /**
+     * Runs a call through the request queue of a component
+     * @private
+     * @static
+     * @param {string} key - Queue key (wisp:id or component name)
+     * @param {string} strategy - 'drop', 'abort', 'serialize' or 'none'
+     * @param {Function} run - Receives { signal, isStale } and returns the call promise
+     * @returns {Promise<Object|null>} Response data, or null if the call was aborted
+     * @description
+     * - drop: all calls run, but responses of superseded calls are not applied
+     * - abort: starting a call aborts the ones still in flight
+     * - serialize: calls wait for the previous call to finish
+     * - none: calls run independently
+     */
+    static _enqueueCall(key, strategy, run) {
+        if (!this.requestQueues.has(key)) {
+            this.requestQueues.set(key, { seq: 0, controllers: new Set(), tail: Promise.resolve() });
+        }
+
+        const queue = this.requestQueues.get(key);
+        const seq = ++queue.seq;
+        const controller = new AbortController();
+
+        if (strategy === 'abort') {
+            queue.controllers.forEach(c => c.abort());
+        }
+        queue.controllers.add(controller);
+
+        const options = {
+            signal: controller.signal,
+            isStale: () => strategy === 'drop' && seq !== queue.seq
+        };
+
+        let promise;
+        if (strategy === 'serialize') {
+            promise = queue.tail
+                .catch(() => {})
+                .then(() => controller.signal.aborted ? null : run(options));
+            queue.tail = promise;
+        } else {
+            promise = run(options);
+        }
+
+        return promise.finally(() => {
+            queue.controllers.delete(controller);
+            if (queue.controllers.size === 0 && this.requestQueues.get(key) === queue) {
+                this.requestQueues.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Aborts in-flight and queued calls and uploads of a component
+     * @static
+     * @param {string} componentId - Component wisp:id (or component name if it has no id)
+     * @returns {boolean} True if any call or upload was aborted
+     */
+    static abort(componentId) {
+        const queue = this.requestQueues.get(componentId);
+        const uploads = this.uploads.get(componentId);
+        let aborted = false;
+
+        if (queue && queue.controllers.size > 0) {
+            queue.controllers.forEach(controller => controller.abort());
+            aborted = true;
+        }
+
+        if (uploads && uploads.size > 0) {
+            uploads.forEach(xhr => xhr.abort());
+            aborted = true;
+        }
+
+        return aborted;
+    }
+
+    /**
+     * Restores the persisted offline queue and replays it when the browser comes online
+     * @static
+     */
+    static setupOfflineQueue() {
+        window.addEventListener('online', () => this.replayOfflineQueue());
+
+        this._readOfflineQueue().then(queue => {
+            this.offlineQueue = [...queue, ...this.offlineQueue];
+            this._markOfflinePending();
+            if (this.offlineQueue.length > 0 && navigator.onLine !== false) {
+                this.replayOfflineQueue();
+            }
+        });
+    }
+
+    /**
+     * Persists a component call for replay once the browser is online again
+     * @static
+     * @async
+     * @param {Object} action - Call to queue ({ component, method, payload, componentId, checksum, endpoint, data })
+     */
+    static async queueOfflineAction(action) {
+        const queued = { ...action, queuedAt: Date.now() };
+        this.offlineQueue.push(queued);
+        await this._writeOfflineQueue();
+
+        this._markOfflinePending();
+        this.emit('offline:queued', this._eventDetail(this._findComponent(action.componentId), action.component, action.method, {
+            action: queued
+        }));
+    }
+
+    /**
+     * Replays queued offline calls in order
+     * @static
+     * @async
+     * @description
+     * A call rejected with HTTP 409 or `{ "error": true, "conflict": true }` (e.g. a stale
+     * checksum) is dropped and reported through a `wisp:offline:conflict` event.
+     * Replay stops at the first network error and resumes on the next `online` event.
+     */
+    static async replayOfflineQueue() {
+        if (this.offlineReplaying) return;
+        this.offlineReplaying = true;
+
+        try {
+            while (this.offlineQueue.length > 0) {
+                const action = this.offlineQueue[0];
+                const componentEl = this._findComponent(action.componentId);
+                const detail = this._eventDetail(componentEl, action.component, action.method, { action });
+
+                try {
+                    detail.response = await this._executeCall(action.component, action.method, action.payload, componentEl, {
+                        componentId: action.componentId,
+                        checksum: action.checksum,
+                        endpoint: action.endpoint,
+                        data: action.data ?? {},
+                        offline: false
+                    });
+                    this.emit('offline:replayed', detail);
+                } catch (error) {
+                    if (this._isNetworkError(error)) break;
+
+                    detail.error = error;
+                    this.emit(error.status === 409 || error.conflict ? 'offline:conflict' : 'offline:failed', detail);
+                }
+
+                this.offlineQueue.shift();
+                await this._writeOfflineQueue();
+                this._markOfflinePending();
+            }
+        } finally {
+            this.offlineReplaying = false;
+        }
+    }
+
+    /**
+     * Checks whether an error was caused by a failed network request
+     * @private
+     * @static
+     * @param {Error} error - Error to check
+     * @returns {boolean} True for fetch network failures
+     */
+    static _isNetworkError(error) {
+        return error instanceof TypeError && /fetch|network|load failed/i.test(error.message);
+    }
+
+    /**
+     * Marks components that have queued offline calls with wisp:offline.pending
+     * @private
+     * @static
+     */
+    static _markOfflinePending() {
+        const counts = new Map();
+        this.offlineQueue.forEach(action => {
+            counts.set(action.componentId, (counts.get(action.componentId) || 0) + 1);
+        });
+
+        document.querySelectorAll('[wisp\\:component]').forEach(el => {
+            const count = counts.get(el.getAttribute('wisp:id'));
+            if (count) {
+                el.setAttribute('wisp:offline.pending', count);
+            } else {
+                el.removeAttribute('wisp:offline.pending');
+            }
+        });
+    }
+
+    /**
+     * Finds a component element by its wisp:id
+     * @private
+     * @static
+     * @param {string|null|undefined} componentId - Component instance ID
+     * @returns {HTMLElement|null} Component element
+     */
+    static _findComponent(componentId) {
+        if (!componentId) return null;
+        return document.querySelector(`[wisp\\:component][wisp\\:id="${componentId}"]`);
+    }
+
+    /**
+     * Opens the IndexedDB database used for the offline queue
+     * @private
+     * @static
+     * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+     */
+    static _openOfflineDB() {
+        if (!this.offlineDB) {
+            this.offlineDB = new Promise(resolve => {
+                if (!window.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+
+                const request = window.indexedDB.open('wisp', 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('offline');
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+            });
+        }
+        return this.offlineDB;
+    }
+
+    /**
+     * Reads the persisted offline queue from IndexedDB or localStorage
+     * @private
+     * @static
+     * @async
+     * @returns {Promise<Array>} Queued actions
+     */
+    static async _readOfflineQueue() {
+        const db = await this._openOfflineDB();
+
+        if (db) {
+            return new Promise(resolve => {
+                const request = db.transaction('offline').objectStore('offline').get('queue');
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => resolve([]);
+            });
+        }
+
+        try {
+            return JSON.parse(localStorage.getItem('wisp:offline-queue') || '[]');
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Writes the offline queue to IndexedDB or localStorage
+     * @private
+     * @static
+     * @async
+     */
+    static async _writeOfflineQueue() {
+        const db = await this._openOfflineDB();
+
+        if (db) {
+            return new Promise(resolve => {
+                const transaction = db.transaction('offline', 'readwrite');
+                transaction.objectStore('offline').put(this.offlineQueue, 'queue');
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => resolve();
+            });
+        }
+
+        try {
+            localStorage.setItem('wisp:offline-queue', JSON.stringify(this.offlineQueue));
+        } catch (error) {
+            console.error('Wisp offline queue could not be saved:', error);
+        }
+    }
+
     /**
      * Executes the actual component call
      * @private
@@ -86,22 +474,35 @@ class Wisp {
      * @param {string} method - Method to call
      * @param {Object} [payload={}] - Data to send
      * @param {HTMLElement|null} [triggerElement=null] - Triggering element
-     * @returns {Promise<Object>} Response data
+     * @param {Object} [options={}] - Queue options
+     * @param {AbortSignal} [options.signal] - Signal that aborts the request
+     * @param {Function} [options.isStale] - Returns true if the response's views must not be applied
+     * @param {string} [options.componentId] - Component ID to send instead of the element's wisp:id
+     * @param {string} [options.checksum] - Checksum to send instead of the element's wisp:checksum
+     * @param {boolean} [options.offline] - Queue the call when offline (defaults to wisp:offline on the trigger)
+     * @param {string} [options.endpoint] - URL to send the call to (defaults to wisp:endpoint, then config.endpoint)
+     * @param {boolean} [options.sendDeferred] - Take the component's deferred updates and send them along
+     * @param {Object} [options.data] - Model values to send instead of the component's deferred updates
+     * @returns {Promise<Object|null>} Response data, or null if the call was aborted
      */
-    static async _executeCall(component, method, payload = {}, triggerElement = null) {
-        try {
-            const startTime = performance.now();
-
-            const componentEl = triggerElement?.closest(`[wisp\\:component="${component}"]`);
-            const componentId = componentEl?.getAttribute('wisp:id');
-            const checksum = componentEl?.getAttribute('wisp:checksum');
-            const componentData = componentEl ? JSON.parse(componentEl.getAttribute('wisp:data') || '{}') : {};
-
-            if (triggerElement) {
-                this.setLoadingState(triggerElement, method, true, payload);
-            }
+    static async _executeCall(component, method, payload = {}, triggerElement = null, options = {}) {
+        const startTime = performance.now();
+        const componentEl = triggerElement?.closest(`[wisp\\:component="${component}"]`);
+        const componentId = options.componentId ?? componentEl?.getAttribute('wisp:id');
+        const checksum = options.checksum ?? componentEl?.getAttribute('wisp:checksum');
+        const offline = options.offline ?? !!triggerElement?.closest('[wisp\\:offline]');
+        const endpoint = options.endpoint
+            ?? (triggerElement || componentEl)?.closest('[wisp\\:endpoint]')?.getAttribute('wisp:endpoint')
+            ?? this.config.endpoint
+            ?? window.location.href;
+        const deferredKey = options.sendDeferred && !options.data ? componentId || component : null;
+        const deferredData = options.data ?? (deferredKey ? this._takeDeferredUpdates(deferredKey) : {});
+        const offlineAction = { component, method, payload, componentId, checksum, endpoint, data: deferredData };
+        let loading = false;
+        let optimistic = null;
 
-            const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content;
+        try {
+            const csrfToken = this._csrfToken();
 
             const requestPayload = method === '__updateModel' ? {
                 component,
@@ -110,12 +511,13 @@ class Wisp {
                 payload: {
                     componentId,
                     checksum,
-                    data: payload
+                    data: { ...deferredData, ...payload }
                 }
             } : {
                 component,
                 method,
                 _token: csrfToken,
+                ...(Object.keys(deferredData).length > 0 && { data: deferredData }),
                 payload: {
                     ...payload,
                     componentId,
@@ -123,18 +525,44 @@ class Wisp {
                 }
             };
 
-            const response = await fetch(window.location.href, {
+            const beforeDetail = this._eventDetail(componentEl, component, method, {
+                payload: requestPayload,
+                trigger: triggerElement
+            });
+            if (!this.emit('request:before', beforeDetail)) {
+                this._restoreDeferredUpdates(deferredKey, deferredData);
+                return null;
+            }
+
+            if (triggerElement?.hasAttribute('wisp:optimistic')) {
+                optimistic = this._applyOptimistic(componentEl, triggerElement);
+            }
+
+            if (offline && navigator.onLine === false) {
+                await this.queueOfflineAction(offlineAction);
+                return null;
+            }
+
+            if (triggerElement) {
+                this.setLoadingState(triggerElement, method, true, payload);
+                loading = true;
+            }
+
+            const response = await this._request(endpoint, {
                 method: 'POST',
-                headers: {
+                headers: () => ({
                     'Content-Type': 'application/json',
                     'Accept': 'application/json',
-                    'X-Requested-With': 'X-Wisp'
-                },
-                body: JSON.stringify(requestPayload)
-            });
+                    'X-Requested-With': 'X-Wisp',
+                    'X-CSRF-TOKEN': this._csrfToken() ?? ''
+                }),
+                body: () => JSON.stringify({ ...beforeDetail.payload, _token: this._csrfToken() }),
+                signal: options.signal,
+                retry: method === '__updateModel' || !!triggerElement?.closest('[wisp\\:retry]')
+            }, { component, method });
 
-            if (!response.ok) {
-                this.throwWispError(`HTTP error! status: ${response.status}`, true);
+            if (!response.ok && response.status !== 422) {
+                this.throwWispError(`HTTP error! status: ${response.status}`, true, { status: response.status });
             }
 
             const contentType = response.headers.get('content-type');
@@ -143,25 +571,68 @@ class Wisp {
             }
 
             const responseData = await response.json();
+            const stale = !!options.isStale?.();
+
+            this.emit('request:after', this._eventDetail(componentEl, component, method, {
+                response: responseData,
+                status: response.status,
+                duration: performance.now() - startTime,
+                stale
+            }));
+
+            if (responseData.errors && (responseData.error || !response.ok)) {
+                if (optimistic) this._rollbackOptimistic(optimistic, method, null);
+                const errorsEl = componentEl?.isConnected ? componentEl : this._findComponent(componentId);
+                if (errorsEl) this.renderErrors(errorsEl, responseData.errors);
+                return responseData;
+            }
+
+            if (!response.ok) {
+                this.throwWispError(`HTTP error! status: ${response.status}`, true, { status: response.status });
+            }
 
             if (responseData.error) {
-                this.throwWispError(responseData.message || 'Unknown error occurred', true);
+                this.throwWispError(responseData.message || 'Unknown error occurred', true, {
+                    conflict: !!responseData.conflict
+                });
+            }
+
+            // A newer call to this component was started: its response renders the component
+            if (stale) {
+                if (responseData.effects) this.runEffects(responseData.effects);
+                return responseData;
             }
 
-            if (!responseData.view || typeof responseData.checksum === 'undefined') {
+            const siblingUpdates = this._collectComponentUpdates(responseData)
+                .filter(update => !(responseData.view && update.id === componentId));
+
+            // A response may only carry effects or errors, e.g. a redirect after an action
+            if (!responseData.view && siblingUpdates.length === 0 && !responseData.effects && !responseData.errors) {
                 this.throwWispError('Invalid response format from server', true);
             }
 
+            [responseData, ...siblingUpdates].forEach(update => {
+                if (update.view && typeof update.checksum === 'undefined') {
+                    this.throwWispError('Invalid response format from server', true);
+                }
+            });
+
+            const updateTargets = siblingUpdates
+                .map(update => ({ el: this._findComponent(update.id), update }))
+                .filter(target => target.el);
+
             if (componentEl && responseData.view) {
-                this.preserveActiveElement(() => {
-                    componentEl.outerHTML = responseData.view;
+                updateTargets.unshift({ el: componentEl, update: responseData });
+                if (optimistic) optimistic.entry.dataAttribute = null;
+            }
 
-                    const updatedComponentEl = document.querySelector(`[wisp\\:component="${component}"][wisp\\:id="${componentId}"]`);
-                    if (updatedComponentEl) {
-                        const newData = responseData.data || {};
-                        this.dispatchUpdate(component, newData);
-                    }
-                });
+            const updatedEls = [];
+            if (updateTargets.length > 0) {
+                await this.transition(() => {
+                    updateTargets.forEach(({ el, update }) => {
+                        updatedEls.push(this._applyComponentUpdate(el, update, method, startTime));
+                    });
+                }, { elements: updateTargets.map(({ el }) => el) });
             }
 
             if (this.config.enablePerformanceLogging) {
@@ -169,816 +640,4826 @@ class Wisp {
                 console.debug(`Wisp call ${component}.${method} took ${duration.toFixed(2)}ms`);
             }
 
-            this.bind();
+            const currentComponentEl = componentEl?.isConnected ? componentEl : this._findComponent(componentId);
+            if (currentComponentEl) {
+                this.renderErrors(currentComponentEl, responseData.errors || {});
+            }
+
+            updatedEls.filter(el => el?.isConnected).forEach(el => this.bind(el));
+
+            if (responseData.effects) {
+                this.runEffects(responseData.effects);
+            }
 
             return responseData;
         } catch (error) {
-            if (error instanceof TypeError && error.message.includes('fetch')) {
+            if (offline && this._isNetworkError(error)) {
+                await this.queueOfflineAction(offlineAction);
+                return null;
+            }
+
+            this._restoreDeferredUpdates(deferredKey, deferredData);
+
+            if (optimistic) {
+                this._rollbackOptimistic(optimistic, method, error.name === 'AbortError' ? null : error);
+            }
+
+            if (error.name === 'AbortError') {
+                return null;
+            }
+
+            if (this._isNetworkError(error)) {
                 this.throwWispError('Network error occurred. Please check your connection.');
             } else {
                 this.throwWispError(error.message);
             }
 
             console.error('Wisp error:', error);
-            document.dispatchEvent(new CustomEvent('wisp:error', {
-                detail: { error, component, method }
+            this.reportError(error, {
+                component,
+                method,
+                id: componentEl?.getAttribute('wisp:id') ?? null
+            });
+            this.emit('error', this._eventDetail(componentEl, component, method, {
+                error,
+                duration: performance.now() - startTime
             }));
 
             throw error;
         } finally {
-            if (triggerElement) {
+            if (loading) {
                 this.setLoadingState(triggerElement, method, false, payload);
             }
         }
     }
 
     /**
-     * Preserves focus state during DOM updates
+     * Applies the wisp:optimistic statements of a trigger to its component's store
+     * @private
      * @static
-     * @param {Function} callback - Function that modifies DOM
+     * @param {HTMLElement|null} componentEl - Component element
+     * @param {HTMLElement} triggerEl - Element with wisp:optimistic
+     * @returns {Object|null} Snapshot for `_rollbackOptimistic`, or null if nothing was applied
+     * @description
+     * The attribute holds statements (`liked = !liked; likes += liked ? 1 : -1`) or
+     * an object literal that is merged into the data (`{ status: 'archived' }`).
+     * `$el` refers to the trigger. The snapshot holds the component markup and data
+     * from before the change.
      */
-    static preserveActiveElement(callback) {
-        const activeElement = document.activeElement;
-        if (!activeElement) {
-            callback();
-            return;
-        }
-
-        const components = document.querySelectorAll('[wisp\\:component]');
-        components.forEach(comp => {
-            comp.style.transition = `opacity ${this.config.transitionDuration}ms ease`;
-            comp.style.opacity = '0.5';
-        });
+    static _applyOptimistic(componentEl, triggerEl) {
+        const entry = this.getComponent(componentEl?.getAttribute('wisp:id'));
+        if (!entry || entry.el !== componentEl) return null;
 
-        const state = {
-            tagName: activeElement.tagName.toLowerCase(),
-            type: activeElement.type,
-            model: activeElement.getAttribute('wisp:model'),
-            value: activeElement.value,
-            selectionStart: activeElement.selectionStart,
-            selectionEnd: activeElement.selectionEnd,
-            componentId: activeElement.closest('[wisp\\:component]')?.getAttribute('wisp:id')
+        const source = triggerEl.getAttribute('wisp:optimistic');
+        const snapshot = {
+            entry,
+            html: componentEl.outerHTML,
+            data: JSON.parse(JSON.stringify(entry.data)),
+            trigger: triggerEl,
+            seq: (entry.optimisticSeq = (entry.optimisticSeq || 0) + 1)
         };
 
-        callback();
-
-        requestAnimationFrame(() => {
-            components.forEach(comp => {
-                comp.style.opacity = '1';
-                setTimeout(() => {
-                    comp.style.transition = '';
-                    comp.style.opacity = '';
-                }, this.config.transitionDuration);
-            });
+        if (!source.trim()) return snapshot;
 
-            const strategies = [
-                () => state.model && state.componentId ?
-                    document.querySelector(`[wisp\\:component][wisp\\:id="${state.componentId}"] [wisp\\:model="${state.model}"]`) : null,
-                () => state.componentId ?
-                    document.querySelector(`[wisp\\:component][wisp\\:id="${state.componentId}"] ${state.tagName}[type="${state.type}"]`) : null,
-                () => document.querySelector(`${state.tagName}[type="${state.type}"]`)
-            ];
+        const magic = { $el: triggerEl };
+        const scope = new Proxy(entry.data, {
+            has: (data, key) => key in magic || key in data,
+            get: (data, key) => key in magic ? magic[key] : data[key]
+        });
 
-            let newElement = null;
-            for (const strategy of strategies) {
-                newElement = strategy();
-                if (newElement) break;
+        try {
+            const result = this.execute(source, scope);
+            if (this._parseStatements(source).type === 'object') {
+                Object.assign(entry.data, result);
             }
+        } catch (error) {
+            console.error('Wisp: invalid wisp:optimistic statements', triggerEl, error);
+            return null;
+        }
 
-            if (newElement) {
-                const tryFocus = () => {
-                    if (newElement.disabled) {
-                        requestAnimationFrame(tryFocus);
-                    } else {
-                        newElement.focus();
-                        if (typeof state.value === 'string' && newElement.value !== state.value) {
-                            newElement.value = state.value;
-                        }
-                        if (
-                            typeof state.selectionStart === 'number' &&
-                            typeof state.selectionEnd === 'number' &&
-                            typeof newElement.setSelectionRange === 'function'
-                        ) {
-                            newElement.setSelectionRange(state.selectionStart, state.selectionEnd);
-                        }
-                    }
-                };
-                tryFocus();
-            }
-        });
+        this._renderState(entry);
+        return snapshot;
     }
 
     /**
-     * Displays an error message
+     * Restores the snapshot taken by `_applyOptimistic` and emits `wisp:rollback`
+     * @private
      * @static
-     * @param {string} message - Error message to display
+     * @param {Object} snapshot - Snapshot from `_applyOptimistic`
+     * @param {string} method - Method of the failed call
+     * @param {Error|null} error - Error of the call (null for validation errors and aborts)
+     * @description
+     * Does nothing when a newer optimistic update was applied to the component since,
+     * as that call's response will settle the state.
      */
-    static showError(message) {
-        console.error('Wisp error:', message);
+    static _rollbackOptimistic(snapshot, method, error) {
+        const { entry, html, data, trigger, seq } = snapshot;
+        if (entry.optimisticSeq !== seq) return;
 
-        document.querySelectorAll('.wisp-error').forEach(el => el.remove());
+        const current = entry.el.isConnected ? entry.el : this._findComponent(entry.id);
+        if (!current) return;
 
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'wisp-error';
-        errorDiv.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: #f44336;
-            color: white;
-            padding: 12px 24px;
-            border-radius: 4px;
-            box-shadow: 0 2px 5px rgba(0,0,0,0.2);
-            z-index: 9999;
-            max-width: 400px;
-            word-break: break-word;
-        `;
-        errorDiv.textContent = message;
-        errorDiv.setAttribute('role', 'alert');
-        errorDiv.setAttribute('aria-live', 'assertive');
+        Object.keys(entry.data).forEach(key => {
+            if (!(key in data)) delete entry.data[key];
+        });
+        Object.assign(entry.data, data);
 
-        document.body.appendChild(errorDiv);
+        if (this.config.morph) {
+            this.morph(current, html);
+        } else {
+            current.outerHTML = html;
+        }
 
-        setTimeout(() => {
-            errorDiv.style.opacity = '0';
-            errorDiv.style.transition = 'opacity 0.3s ease';
-            setTimeout(() => errorDiv.remove(), 300);
-        }, this.config.errorDisplayTime);
+        if (trigger.isConnected && (trigger.type === 'checkbox' || trigger.type === 'radio')) {
+            trigger.checked = trigger.defaultChecked;
+        }
+
+        const restored = this._findComponent(entry.id);
+        if (restored) this.bind(restored);
+
+        this.emit('rollback', this._eventDetail(restored, entry.name, method, { error, trigger }));
     }
 
     /**
-     * Initializes global error handling for Wisp errors
+     * Sends a request through the configured transport
+     * @private
      * @static
+     * @async
+     * @param {string} url - Request URL
+     * @param {Object} init - Fetch options; `headers` and `body` may be functions that build them for each attempt
+     * @param {boolean} [init.retry] - Retry timeouts, network errors and 502/503/504 (defaults to true for GET and HEAD)
+     * @param {boolean} [init.refreshCsrf=true] - Refresh the CSRF token and resend on 419
+     * @param {Object} [context={}] - Passed to a `config.headers` factory (e.g. { component, method })
+     * @returns {Promise<Response>} Response
+     * @throws {WispError} When the request timed out on every attempt
      * @description
-     * Sets up a global error handler that catches WispError instances.
-     * Non-fatal Wisp errors will be displayed but won't stop execution.
-     * Other errors will be passed to the original error handler if it exists.
+     * Adds `config.headers` and `config.credentials` and aborts attempts after
+     * `config.timeout` ms. Requests that may be sent twice (`init.retry`) are
+     * retried `config.retries` times with exponential backoff, because a timed out
+     * or failed request may still have reached the server. On 419 the CSRF token is
+     * refreshed and the request is sent once more with rebuilt headers and body.
      */
-    static initErrorHandling() {
-        const originalErrorHandler = window.onerror;
+    static async _request(url, init, context = {}) {
+        const transport = this.config.transport || ((input, options) => fetch(input, options));
+        const {
+            retry = ['GET', 'HEAD'].includes((init.method || 'GET').toUpperCase()),
+            refreshCsrf = true,
+            ...fetchInit
+        } = init;
+        const buildHeaders = async () => ({
+            ...(typeof init.headers === 'function' ? init.headers() : init.headers),
+            ...await this._resolveHeaders({ ...context, url })
+        });
+        const retries = retry ? this.config.retries : 0;
+        let headers = await buildHeaders();
+        let attempt = 0;
+        let csrfRefreshed = false;
 
-        window.onerror = (message, source, lineno, colno, error) => {
-            if (error instanceof WispError) {
-                this.showError(error.message);
-                if (error.nonFatal) {
-                    return true; // Prevent default error logging for non-fatal errors
+        while (true) {
+            const controller = new AbortController();
+            const abort = () => controller.abort();
+            let timedOut = false;
+            let timer = null;
+
+            if (init.signal?.aborted) abort();
+            init.signal?.addEventListener('abort', abort);
+            if (this.config.timeout > 0) {
+                timer = setTimeout(() => {
+                    timedOut = true;
+                    controller.abort();
+                }, this.config.timeout);
+            }
+
+            try {
+                const response = await transport(url, {
+                    ...fetchInit,
+                    headers,
+                    credentials: this.config.credentials,
+                    body: typeof init.body === 'function' ? init.body() : init.body,
+                    signal: controller.signal
+                });
+
+                if (response.status === 419 && refreshCsrf && !csrfRefreshed) {
+                    csrfRefreshed = true;
+                    if (await this.refreshCsrfToken()) {
+                        headers = await buildHeaders();
+                        continue;
+                    }
                 }
-                return true; // Also prevent for fatal Wisp errors (though they'll stop execution)
+
+                if ([502, 503, 504].includes(response.status) && attempt < retries) {
+                    await this._retryDelay(attempt++, init.signal);
+                    continue;
+                }
+
+                return response;
+            } catch (error) {
+                if (init.signal?.aborted) throw error;
+
+                if ((timedOut || this._isNetworkError(error)) && attempt < retries) {
+                    await this._retryDelay(attempt++, init.signal);
+                    continue;
+                }
+
+                if (timedOut) {
+                    this.throwWispError('Request timed out', true, { status: 408 });
+                }
+                throw error;
+            } finally {
+                clearTimeout(timer);
+                init.signal?.removeEventListener('abort', abort);
             }
+        }
+    }
 
-            if (originalErrorHandler) {
-                return originalErrorHandler(message, source, lineno, colno, error);
+    /**
+     * Waits before retrying a request
+     * @private
+     * @static
+     * @param {number} attempt - Number of the failed attempt, starting at 0
+     * @param {AbortSignal} [signal] - Signal that cancels the wait
+     * @returns {Promise<void>} Resolves after `config.retryDelay * 2^attempt` ms
+     */
+    static _retryDelay(attempt, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, this.config.retryDelay * 2 ** attempt);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Request aborted', 'AbortError'));
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Resolves the custom request headers
+     * @private
+     * @static
+     * @async
+     * @param {Object} [context={}] - Request context passed to a header factory
+     * @returns {Promise<Object>} Headers from `config.headers`
+     */
+    static async _resolveHeaders(context = {}) {
+        const headers = typeof this.config.headers === 'function'
+            ? await this.config.headers(context)
+            : this.config.headers;
+
+        return { ...headers };
+    }
+
+    /**
+     * Gets the CSRF token from the csrf-token meta tag
+     * @private
+     * @static
+     * @returns {string|undefined} CSRF token
+     */
+    static _csrfToken() {
+        return document.querySelector('meta[name="csrf-token"]')?.content;
+    }
+
+    /**
+     * Fetches a fresh CSRF token and stores it in the csrf-token meta tag
+     * @static
+     * @async
+     * @returns {Promise<string|null>} New token, or null if none could be fetched
+     * @description
+     * Uses `config.csrfRefresh`, which may be a function returning the token or a URL
+     * answering with JSON ({ token }) or HTML containing the csrf-token meta tag.
+     * Without it the current page is fetched again. The URL is requested through
+     * `config.transport` with the configured headers, credentials and timeout.
+     */
+    static async refreshCsrfToken() {
+        let token = null;
+
+        try {
+            if (typeof this.config.csrfRefresh === 'function') {
+                token = await this.config.csrfRefresh();
+            } else {
+                const response = await this._request(this.config.csrfRefresh || window.location.href, {
+                    headers: { 'Accept': 'application/json, text/html' },
+                    refreshCsrf: false
+                }, { method: '__csrfRefresh' });
+                if (!response.ok) return null;
+
+                if (response.headers.get('content-type')?.includes('json')) {
+                    token = (await response.json()).token;
+                } else {
+                    const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+                    token = doc.querySelector('meta[name="csrf-token"]')?.content;
+                }
             }
-            return false; // Let default error handling occur
-        };
+        } catch (error) {
+            console.error('Wisp CSRF token refresh failed:', error);
+            return null;
+        }
+
+        if (!token) return null;
+
+        let meta = document.querySelector('meta[name="csrf-token"]');
+        if (!meta) {
+            meta = document.createElement('meta');
+            meta.name = 'csrf-token';
+            document.head.appendChild(meta);
+        }
+        meta.content = token;
+
+        return token;
     }
 
     /**
-     * Throws a Wisp error with optional execution control
+     * Gets the sibling component updates of a response
+     * @private
      * @static
-     * @param {string} message - Error message to display
-     * @param {boolean} [fatal=false] - Whether the error should stop execution
-     * @throws {WispError} When fatal is true
+     * @param {Object} responseData - Server response
+     * @returns {Object[]} Updates as { id, view, checksum, data }
      * @description
-     * For fatal errors: throws immediately, stopping execution.
-     * For non-fatal errors: shows the error but continues execution by throwing
-     * in the next event loop tick.
+     * `components` may be an array of updates with an `id` field, or a map of
+     * updates keyed by `wisp:id`.
      */
-    static throwWispError(message, fatal = false) {
-        const error = new WispError(message);
-        error.nonFatal = !fatal;
+    static _collectComponentUpdates(responseData) {
+        const { components } = responseData;
+        if (!components) return [];
 
-        if (fatal) {
-            throw error;
+        if (Array.isArray(components)) {
+            components.forEach(update => {
+                if (!update?.id) {
+                    this.throwWispError('Invalid response format from server', true);
+                }
+            });
+            return components;
+        }
+
+        return Object.entries(components).map(([id, update]) => ({ ...update, id }));
+    }
+
+    /**
+     * Applies a server rendered view to a component element
+     * @private
+     * @static
+     * @param {HTMLElement} componentEl - Component element to update
+     * @param {Object} update - Update with view and data
+     * @param {string} method - Method that caused the update
+     * @param {number} startTime - Call start time for event timing
+     * @returns {HTMLElement|null} The component element after the update
+     */
+    static _applyComponentUpdate(componentEl, update, method, startTime) {
+        const component = componentEl.getAttribute('wisp:component');
+        const componentId = componentEl.getAttribute('wisp:id');
+
+        const morphDetail = this._eventDetail(componentEl, component, method, { view: update.view });
+        if (!this.emit('morph:before', morphDetail)) return componentEl;
+
+        if (this.config.morph) {
+            this.morph(componentEl, morphDetail.view);
         } else {
-            setTimeout(() => { throw error; }, 0);
-            this.showError(message);
+            componentEl.outerHTML = morphDetail.view;
+        }
+
+        const updatedComponentEl = document.querySelector(`[wisp\\:component="${component}"][wisp\\:id="${componentId}"]`);
+        if (updatedComponentEl) {
+            const newData = update.data || {};
+            this.emit('morph:after', this._eventDetail(updatedComponentEl, component, method, {
+                duration: performance.now() - startTime
+            }));
+            this.dispatchUpdate(component, newData, updatedComponentEl, method);
         }
+
+        return updatedComponentEl;
     }
 
+    /**
+     * Runs the side effects of a server response
+     * @static
+     * @param {Object} effects - Effects section of the response envelope
+     * @param {string} [effects.title] - New document title
+     * @param {Object|Object[]} [effects.dispatch] - Browser events as { name, detail } (or a map of name to detail)
+     * @param {string|Object} [effects.download] - File URL, or { url, filename }
+     * @param {string|Object} [effects.redirect] - URL, or { url, reload } to force a full page load
+     */
+    static runEffects(effects) {
+        if (typeof effects.title === 'string') {
+            document.title = effects.title;
+        }
+
+        if (effects.dispatch) {
+            const events = Array.isArray(effects.dispatch) ? effects.dispatch :
+                Object.entries(effects.dispatch).map(([name, detail]) => ({ name, detail }));
+
+            events.forEach(({ name, detail }) => {
+                if (name) window.dispatchEvent(new CustomEvent(name, { detail }));
+            });
+        }
+
+        if (effects.download) {
+            const { url, filename } = typeof effects.download === 'string' ? { url: effects.download } : effects.download;
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename || '';
+            link.style.display = 'none';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+        }
+
+        if (effects.redirect) {
+            const { url, reload } = typeof effects.redirect === 'string' ? { url: effects.redirect } : effects.redirect;
+            const target = new URL(url, window.location.href);
+
+            if (reload || target.origin !== window.location.origin) {
+                window.location.href = target.href;
+            } else {
+                this.navigate(target.pathname + target.search + target.hash);
+            }
+        }
+    }
 
     /**
-     * Asynchronously throws a Wisp error
+     * Runs a DOM update inside a view transition when enabled and supported,
+     * otherwise fades the given elements around it
      * @static
-     * @async
-     * @param {string} message - Error message to display
-     * @param {boolean} [fatal=false] - Whether the error should stop execution
-     * @throws {WispError} When fatal is true
+     * @param {Function} update - Function that modifies DOM
+     * @param {Object} [options]
+     * @param {Element[]} [options.elements] - Elements to fade when view transitions are unavailable
+     * @param {string} [options.direction] - Navigation direction (forward|back)
+     * @returns {Promise<void>} Resolves once the DOM has been updated
+     */
+    static async transition(update, { elements = [], direction = null } = {}) {
+        if (!this.config.viewTransitions || typeof document.startViewTransition !== 'function') {
+            this.preserveActiveElement(update, elements);
+            return;
+        }
+
+        const root = document.documentElement;
+        if (direction) {
+            root.setAttribute('wisp:direction', direction);
+        }
+
+        const viewTransition = document.startViewTransition(() => this.preserveActiveElement(update));
+        viewTransition.finished
+            .catch(() => {})
+            .finally(() => {
+                if (root.getAttribute('wisp:direction') === direction) {
+                    root.removeAttribute('wisp:direction');
+                }
+            });
+
+        await viewTransition.updateCallbackDone;
+    }
+
+    /**
+     * Applies `wisp:transition` names as view-transition-name
+     * @static
+     * @param {Document|Element} [root=document]
+     */
+    static bindTransitions(root = document) {
+        this._queryAll(root, '[wisp\\:transition]').forEach(el => {
+            el.style.viewTransitionName = el.getAttribute('wisp:transition');
+        });
+    }
+
+    /**
+     * Preserves focus state during DOM updates
+     * @static
+     * @param {Function} callback - Function that modifies DOM
+     * @param {Element[]} [elements=[]] - Elements to fade while updating
+     */
+    static preserveActiveElement(callback, elements = []) {
+        const activeElement = document.activeElement;
+        if (!activeElement) {
+            callback();
+            return;
+        }
+
+        elements.forEach(el => {
+            this._binding(el).transitionStyles = new Set(['transition', 'opacity']);
+            el.style.transition = `opacity ${this.config.transitionDuration}ms ease`;
+            el.style.opacity = '0.5';
+        });
+
+        const state = {
+            tagName: activeElement.tagName.toLowerCase(),
+            type: activeElement.type,
+            model: activeElement.getAttribute('wisp:model'),
+            value: activeElement.value,
+            selectionStart: activeElement.selectionStart,
+            selectionEnd: activeElement.selectionEnd,
+            componentId: activeElement.closest('[wisp\\:component]')?.getAttribute('wisp:id')
+        };
+
+        callback();
+
+        requestAnimationFrame(() => {
+            elements.forEach(el => {
+                el.style.opacity = '1';
+                setTimeout(() => {
+                    delete this.bindings.get(el)?.transitionStyles;
+                    el.style.transition = '';
+                    el.style.opacity = '';
+                }, this.config.transitionDuration);
+            });
+
+            const strategies = [
+                () => state.model && state.componentId ?
+                    document.querySelector(`[wisp\\:component][wisp\\:id="${state.componentId}"] [wisp\\:model="${state.model}"]`) : null,
+                () => state.componentId ?
+                    document.querySelector(`[wisp\\:component][wisp\\:id="${state.componentId}"] ${state.tagName}[type="${state.type}"]`) : null,
+                () => document.querySelector(`${state.tagName}[type="${state.type}"]`)
+            ];
+
+            let newElement = null;
+            for (const strategy of strategies) {
+                newElement = strategy();
+                if (newElement) break;
+            }
+
+            if (newElement) {
+                const tryFocus = () => {
+                    if (newElement.disabled) {
+                        requestAnimationFrame(tryFocus);
+                    } else {
+                        newElement.focus();
+                        if (typeof state.value === 'string' && newElement.value !== state.value) {
+                            newElement.value = state.value;
+                        }
+                        if (
+                            typeof state.selectionStart === 'number' &&
+                            typeof state.selectionEnd === 'number' &&
+                            typeof newElement.setSelectionRange === 'function'
+                        ) {
+                            newElement.setSelectionRange(state.selectionStart, state.selectionEnd);
+                        }
+                    }
+                };
+                tryFocus();
+            }
+        });
+    }
+
+    /**
+     * Patches an existing element in place to match new markup
+     * @static
+     * @param {HTMLElement} fromEl - Element currently in the DOM
+     * @param {string|HTMLElement} to - New HTML string or element to match
+     * @returns {HTMLElement} The element that is in the DOM after morphing
      * @description
-     * Shows the error immediately. Only throws if fatal is true.
-     * Designed for use in async functions where you want to display
-     * the error but might not want to stop execution.
+     * Keeps DOM nodes that still exist in the new markup, so focus, scroll position,
+     * open details and media state survive the update. Children are matched by
+     * `wisp:key` (or `wisp:id`/`id`) first, then by tag name in document order.
+     * Subtrees marked with `wisp:ignore` or `wisp:persist` are never touched.
      */
-    static async throwWispErrorAsync(message, fatal = false) {
-        this.showError(message);
-        if (fatal) {
-            throw new WispError(message);
+    static morph(fromEl, to) {
+        const toEl = typeof to === 'string' ? this._parseHTML(to) : to;
+        if (!toEl) return fromEl;
+
+        if (!this._isSameNode(fromEl, toEl)) {
+            fromEl.replaceWith(toEl);
+            return toEl;
         }
+
+        this._morphNode(fromEl, toEl);
+        return fromEl;
     }
 
     /**
-     * Sets loading state for elements
+     * Patches the children of an element to match the children of another element
      * @static
-     * @param {HTMLElement} triggerEl - Element that triggered loading
-     * @param {string} method - Method being called
-     * @param {boolean} isLoading - Loading state
-     * @param {Object} params - Call parameters
+     * @param {HTMLElement} fromParent - Element currently in the DOM
+     * @param {HTMLElement} toParent - Element holding the new children
      */
-    static setLoadingState(triggerEl, method, isLoading, params) {
-        if (!triggerEl) return;
+    static morphChildren(fromParent, toParent) {
+        const keyed = new Map();
+        for (const child of fromParent.children) {
+            const key = this._getMorphKey(child);
+            if (key) keyed.set(key, child);
+        }
+
+        let cursor = fromParent.firstChild;
+
+        for (const toChild of Array.from(toParent.childNodes)) {
+            const key = this._getMorphKey(toChild);
+            let match = null;
+
+            if (key) {
+                match = keyed.get(key) || null;
+                if (match && !this._isSameNode(match, toChild)) match = null;
+                if (match) keyed.delete(key);
+            } else {
+                for (let probe = cursor; probe; probe = probe.nextSibling) {
+                    if (!this._getMorphKey(probe) && this._isSameNode(probe, toChild)) {
+                        match = probe;
+                        break;
+                    }
+                }
+            }
+
+            if (!match) {
+                fromParent.insertBefore(document.importNode(toChild, true), cursor);
+                continue;
+            }
+
+            if (match === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                fromParent.insertBefore(match, cursor);
+            }
+
+            this._morphNode(match, toChild);
+        }
+
+        while (cursor) {
+            const next = cursor.nextSibling;
+            cursor.remove();
+            cursor = next;
+        }
+    }
+
+    /**
+     * Morphs a single node whose identity already matches
+     * @private
+     * @static
+     * @param {Node} fromNode - Existing node
+     * @param {Node} toNode - New node
+     */
+    static _morphNode(fromNode, toNode) {
+        if (fromNode.nodeType !== Node.ELEMENT_NODE) {
+            if (fromNode.nodeValue !== toNode.nodeValue) {
+                fromNode.nodeValue = toNode.nodeValue;
+            }
+            return;
+        }
+
+        if (fromNode.hasAttribute('wisp:ignore') || fromNode.hasAttribute('wisp:persist')) return;
+
+        this._morphAttributes(fromNode, toNode);
+
+        if (fromNode.tagName !== 'TEXTAREA') {
+            this.morphChildren(fromNode, toNode);
+        }
+
+        this._morphFormState(fromNode, toNode);
+    }
+
+    /**
+     * Syncs attributes from the new element onto the existing one
+     * @private
+     * @static
+     * @param {HTMLElement} fromEl - Existing element
+     * @param {HTMLElement} toEl - New element
+     * @description
+     * Inline styles owned by a running transition (the fade and `view-transition-name`)
+     * are kept when the new markup has a different style attribute.
+     */
+    static _morphAttributes(fromEl, toEl) {
+        const owned = this.bindings.get(fromEl)?.transitionStyles;
+        const kept = owned ? [...owned].map(property => [property, fromEl.style.getPropertyValue(property)]) : [];
+
+        for (const { name, value } of Array.from(toEl.attributes)) {
+            if (fromEl.getAttribute(name) !== value) {
+                fromEl.setAttribute(name, value);
+            }
+        }
+
+        for (const { name } of Array.from(fromEl.attributes)) {
+            if (!toEl.hasAttribute(name)) {
+                fromEl.removeAttribute(name);
+            }
+        }
+
+        kept.forEach(([property, value]) => {
+            if (value && fromEl.style.getPropertyValue(property) !== value) {
+                fromEl.style.setProperty(property, value);
+            }
+        });
+
+        const transitionName = toEl.getAttribute('wisp:transition');
+        if (transitionName && fromEl.style.viewTransitionName !== transitionName) {
+            fromEl.style.viewTransitionName = transitionName;
+        }
+    }
+
+    /**
+     * Syncs form control properties, leaving the focused control and unsent values alone
+     * @private
+     * @static
+     * @param {HTMLElement} fromEl - Existing element
+     * @param {HTMLElement} toEl - New element
+     */
+    static _morphFormState(fromEl, toEl) {
+        if (fromEl === document.activeElement || this._pendingValue(fromEl)) return;
+
+        switch (fromEl.tagName) {
+            case 'INPUT':
+                if (fromEl.type === 'checkbox' || fromEl.type === 'radio') {
+                    fromEl.checked = toEl.hasAttribute('checked');
+                } else if (fromEl.type !== 'file') {
+                    fromEl.value = toEl.getAttribute('value') ?? '';
+                }
+                break;
+            case 'TEXTAREA':
+                fromEl.value = toEl.textContent;
+                break;
+            case 'SELECT':
+                fromEl.value = toEl.value;
+                break;
+        }
+    }
+
+    /**
+     * Checks whether two nodes can be morphed into each other
+     * @private
+     * @static
+     * @param {Node} a - First node
+     * @param {Node} b - Second node
+     * @returns {boolean} True if nodes have the same type, tag and key
+     */
+    static _isSameNode(a, b) {
+        return a.nodeType === b.nodeType &&
+            a.nodeName === b.nodeName &&
+            this._getMorphKey(a) === this._getMorphKey(b);
+    }
+
+    /**
+     * Gets the key used to match a node across renders
+     * @private
+     * @static
+     * @param {Node} node - Node to check
+     * @returns {string|null} Key or null for unkeyed nodes
+     */
+    static _getMorphKey(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return null;
+        return node.getAttribute('wisp:key') || node.getAttribute('wisp:id') ||
+            node.getAttribute('wisp:persist') || node.id || null;
+    }
+
+    /**
+     * Parses an HTML string into a single element
+     * @private
+     * @static
+     * @param {string} html - HTML markup
+     * @returns {HTMLElement|null} First element of the markup
+     */
+    static _parseHTML(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        return template.content.firstElementChild;
+    }
+
+    /**
+     * Displays an error message
+     * @static
+     * @param {string} message - Error message to display
+     */
+    static showError(message) {
+        console.error('Wisp error:', message);
+
+        document.querySelectorAll('.wisp-error').forEach(el => el.remove());
+
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'wisp-error';
+        errorDiv.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            background: #f44336;
+            color: white;
+            padding: 12px 24px;
+            border-radius: 4px;
+            box-shadow: 0 2px 5px rgba(0,0,0,0.2);
+            z-index: 9999;
+            max-width: 400px;
+            word-break: break-word;
+        `;
+        errorDiv.textContent = message;
+        errorDiv.setAttribute('role', 'alert');
+        errorDiv.setAttribute('aria-live', 'assertive');
+
+        document.body.appendChild(errorDiv);
+
+        setTimeout(() => {
+            errorDiv.style.opacity = '0';
+            errorDiv.style.transition = 'opacity 0.3s ease';
+            setTimeout(() => errorDiv.remove(), 300);
+        }, this.config.errorDisplayTime);
+    }
+
+    /**
+     * Asks the user to confirm an action
+     * @static
+     * @async
+     * @param {string} message - Question to show
+     * @param {Object} [options={}] - Dialog options
+     * @param {boolean|string} [options.prompt=false] - Ask for text input; a string is used as the input label
+     * @param {string|null} [options.expect=null] - Text the user must type before confirming
+     * @param {HTMLElement|null} [options.el=null] - Element whose action is guarded
+     * @returns {Promise<boolean|string|null>} true/false, or the typed text (null if cancelled) for prompts
+     * @description
+     * Uses `config.confirmHandler` when set. It receives `{ message, prompt, expect, el }`
+     * and returns (or resolves to) the same values as this method.
+     */
+    static async confirm(message, { prompt = false, expect = null, el = null } = {}) {
+        if (typeof this.config.confirmHandler === 'function') {
+            return this.config.confirmHandler({ message, prompt, expect, el });
+        }
+        return this._confirmDialog(message, { prompt, expect });
+    }
+
+    /**
+     * Runs the wisp:confirm / wisp:confirm.prompt guard of an element
+     * @private
+     * @static
+     * @async
+     * @param {HTMLElement} el - Element that triggered the action
+     * @returns {Promise<{confirmed: boolean, value?: string}>} Whether to proceed, and the typed text for prompts
+     * @description
+     * A failing `confirmHandler` is reported like a failed call and counts as cancelled.
+     */
+    static async _confirmAction(el) {
+        const message = el.getAttribute('wisp:confirm');
+        const prompt = el.getAttribute('wisp:confirm.prompt');
+        if (message === null && prompt === null) return { confirmed: true };
+
+        let result;
+        try {
+            result = await this.confirm(message ?? prompt, {
+                prompt: message === null ? true : prompt ?? false,
+                expect: el.getAttribute('wisp:confirm.expect'),
+                el
+            });
+        } catch (error) {
+            const componentEl = el.closest('[wisp\\:component]');
+            console.error('Wisp confirm error:', error);
+            this.reportError(error, {
+                component: componentEl?.getAttribute('wisp:component') ?? null,
+                method: '__confirm',
+                id: componentEl?.getAttribute('wisp:id') ?? null
+            });
+            this.emit('error', this._eventDetail(componentEl, null, '__confirm', { error, trigger: el }));
+            return { confirmed: false };
+        }
+
+        if (prompt === null) return { confirmed: result === true };
+        return typeof result === 'string' ? { confirmed: true, value: result } : { confirmed: false };
+    }
+
+    /**
+     * Shows the built-in confirmation dialog
+     * @private
+     * @static
+     * @param {string} message - Question to show
+     * @param {Object} options - { prompt, expect } (see `confirm`)
+     * @returns {Promise<boolean|string|null>} Result (see `confirm`)
+     * @description
+     * The dialog is an `alertdialog` with `aria-modal`. The rest of the page is
+     * `inert` while it is open, Tab is trapped inside it, Escape or a click on the
+     * backdrop cancels, and focus returns to the previously focused element when it closes.
+     */
+    static _confirmDialog(message, { prompt = false, expect = null } = {}) {
+        return new Promise(resolve => {
+            const previousFocus = document.activeElement;
+            const id = `wisp-confirm-${++this.confirmDialogs}`;
+            let inerted = [];
+
+            const backdrop = document.createElement('div');
+            backdrop.className = 'wisp-confirm-backdrop';
+            backdrop.style.cssText = `
+                position: fixed;
+                inset: 0;
+                background: rgba(0,0,0,0.4);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 10000;
+            `;
+
+            const dialog = document.createElement('div');
+            dialog.className = 'wisp-confirm';
+            dialog.setAttribute('role', 'alertdialog');
+            dialog.setAttribute('aria-modal', 'true');
+            dialog.setAttribute('aria-labelledby', `${id}-message`);
+            dialog.style.cssText = `
+                background: white;
+                color: #222;
+                padding: 20px 24px;
+                border-radius: 4px;
+                box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+                max-width: 400px;
+                word-break: break-word;
+            `;
+
+            const text = document.createElement('p');
+            text.id = `${id}-message`;
+            text.style.margin = '0 0 16px';
+            text.textContent = message;
+            dialog.appendChild(text);
+
+            let input = null;
+            if (prompt !== false) {
+                input = document.createElement('input');
+                input.type = 'text';
+                input.className = 'wisp-confirm-input';
+                input.style.cssText = 'display: block; width: 100%; box-sizing: border-box; margin-bottom: 16px;';
+                if (typeof prompt === 'string' && prompt !== '') input.setAttribute('aria-label', prompt);
+                else input.setAttribute('aria-labelledby', text.id);
+                if (expect) input.placeholder = expect;
+                dialog.appendChild(input);
+            }
+
+            const buttons = document.createElement('div');
+            buttons.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px;';
+            const cancelButton = document.createElement('button');
+            cancelButton.type = 'button';
+            cancelButton.className = 'wisp-confirm-cancel';
+            cancelButton.textContent = 'Cancel';
+            const confirmButton = document.createElement('button');
+            confirmButton.type = 'button';
+            confirmButton.className = 'wisp-confirm-ok';
+            confirmButton.textContent = 'Confirm';
+            buttons.append(cancelButton, confirmButton);
+            dialog.appendChild(buttons);
+            backdrop.appendChild(dialog);
+
+            const allowed = () => !input || !expect || input.value === expect;
+            const close = (confirmed) => {
+                if (confirmed && !allowed()) return;
+                inerted.forEach(node => node.removeAttribute('inert'));
+                backdrop.remove();
+                previousFocus?.focus?.();
+                resolve(input ? (confirmed ? input.value : null) : confirmed);
+            };
+
+            if (input && expect) {
+                confirmButton.disabled = true;
+                input.addEventListener('input', () => { confirmButton.disabled = !allowed(); });
+            }
+
+            cancelButton.addEventListener('click', () => close(false));
+            confirmButton.addEventListener('click', () => close(true));
+            backdrop.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (e.target === backdrop) close(false);
+            });
+            backdrop.addEventListener('keydown', (e) => {
+                e.stopPropagation();
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    close(false);
+                } else if (e.key === 'Enter' && e.target === input) {
+                    e.preventDefault();
+                    close(true);
+                } else if (e.key === 'Tab') {
+                    const focusable = [input, cancelButton, confirmButton].filter(node => node && !node.disabled);
+                    const index = focusable.indexOf(document.activeElement);
+                    const next = e.shiftKey
+                        ? focusable[(index - 1 + focusable.length) % focusable.length]
+                        : focusable[(index + 1) % focusable.length];
+                    e.preventDefault();
+                    next.focus();
+                }
+            });
+
+            inerted = [...document.body.children].filter(node => !node.hasAttribute('inert'));
+            inerted.forEach(node => node.setAttribute('inert', ''));
+            document.body.appendChild(backdrop);
+            (input || cancelButton).focus();
+        });
+    }
+
+    /**
+     * Initializes global error handling for Wisp errors
+     * @static
+     * @description
+     * Sets up a global error handler that catches WispError instances.
+     * Non-fatal Wisp errors will be displayed but won't stop execution.
+     * Other errors will be passed to the original error handler if it exists.
+     */
+    static initErrorHandling() {
+        const originalErrorHandler = window.onerror;
+
+        window.onerror = (message, source, lineno, colno, error) => {
+            if (error instanceof WispError) {
+                this.showError(error.message);
+                if (error.nonFatal) {
+                    return true; // Prevent default error logging for non-fatal errors
+                }
+                return true; // Also prevent for fatal Wisp errors (though they'll stop execution)
+            }
+
+            if (originalErrorHandler) {
+                return originalErrorHandler(message, source, lineno, colno, error);
+            }
+            return false; // Let default error handling occur
+        };
+    }
+
+    /**
+     * Throws a Wisp error with optional execution control
+     * @static
+     * @param {string} message - Error message to display
+     * @param {boolean} [fatal=false] - Whether the error should stop execution
+     * @param {Object} [details={}] - Extra properties copied onto the error (e.g. status)
+     * @throws {WispError} When fatal is true
+     * @description
+     * For fatal errors: throws immediately, stopping execution.
+     * For non-fatal errors: shows the error but continues execution by throwing
+     * in the next event loop tick.
+     */
+    static throwWispError(message, fatal = false, details = {}) {
+        const error = new WispError(message);
+        Object.assign(error, details);
+        error.nonFatal = !fatal;
+
+        if (fatal) {
+            throw error;
+        } else {
+            setTimeout(() => { throw error; }, 0);
+            this.showError(message);
+        }
+    }
+
+
+    /**
+     * Asynchronously throws a Wisp error
+     * @static
+     * @async
+     * @param {string} message - Error message to display
+     * @param {boolean} [fatal=false] - Whether the error should stop execution
+     * @throws {WispError} When fatal is true
+     * @description
+     * Shows the error immediately. Only throws if fatal is true.
+     * Designed for use in async functions where you want to display
+     * the error but might not want to stop execution.
+     */
+    static async throwWispErrorAsync(message, fatal = false) {
+        this.showError(message);
+        if (fatal) {
+            throw new WispError(message);
+        }
+    }
+
+    /**
+     * Queues an error report for the configured errorEndpoint
+     * @static
+     * @param {Error|string} error - Error to report
+     * @param {Object} [context={}] - Extra context (component, method, id, status, url)
+     * @description
+     * Reports are batched, rate limited per minute and de-duplicated by message,
+     * component, method and status. `config.beforeReport` may return a modified
+     * report, or a falsy value to drop it.
+     */
+    static reportError(error, context = {}) {
+        if (!this.config.errorEndpoint) return;
+
+        let report = {
+            message: error?.message || String(error),
+            name: error?.name || 'Error',
+            component: context.component ?? null,
+            method: context.method ?? null,
+            id: context.id ?? null,
+            status: context.status ?? error?.status ?? null,
+            url: context.url ?? window.location.href,
+            stack: error?.stack || null,
+            userAgent: navigator.userAgent,
+            timestamp: new Date().toISOString()
+        };
+
+        const signature = [report.message, report.component, report.method, report.status].join('|');
+        if (this.reportedErrors.has(signature)) return;
+
+        if (typeof this.config.beforeReport === 'function') {
+            report = this.config.beforeReport(report);
+            if (!report) return;
+        }
+
+        const now = Date.now();
+        this.errorReportTimes = this.errorReportTimes.filter(time => now - time < 60000);
+        if (this.errorReportTimes.length >= this.config.errorReportRateLimit) return;
+
+        this.reportedErrors.add(signature);
+        this.errorReportTimes.push(now);
+        this.errorReports.push(report);
+
+        if (this.errorReports.length >= this.config.errorReportBatchSize) {
+            this.flushErrorReports();
+        } else if (!this.errorReportTimer) {
+            this.errorReportTimer = setTimeout(() => this.flushErrorReports(), this.config.errorReportInterval);
+        }
+    }
+
+    /**
+     * Sends queued error reports to the errorEndpoint
+     * @static
+     * @param {boolean} [useBeacon=false] - Use navigator.sendBeacon (for page unload)
+     */
+    static flushErrorReports(useBeacon = false) {
+        clearTimeout(this.errorReportTimer);
+        this.errorReportTimer = null;
+
+        if (!this.config.errorEndpoint || this.errorReports.length === 0) return;
+
+        const reports = this.errorReports.splice(0, this.config.errorReportBatchSize);
+        const body = JSON.stringify({ reports });
+
+        if (useBeacon && typeof navigator.sendBeacon === 'function') {
+            navigator.sendBeacon(this.config.errorEndpoint, new Blob([body], { type: 'application/json' }));
+        } else {
+            fetch(this.config.errorEndpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Requested-With': 'X-Wisp'
+                },
+                body,
+                keepalive: true
+            }).catch(err => console.error('Wisp error report failed:', err));
+        }
+
+        if (this.errorReports.length > 0) {
+            this.flushErrorReports(useBeacon);
+        }
+    }
+
+    /**
+     * Sets loading state for elements
+     * @static
+     * @param {HTMLElement} triggerEl - Element that triggered loading
+     * @param {string} method - Method being called
+     * @param {boolean} isLoading - Loading state
+     * @param {Object} params - Call parameters
+     */
+    static setLoadingState(triggerEl, method, isLoading, params) {
+        if (!triggerEl) return;
+
+        const componentEl = triggerEl.closest('[wisp\\:component]');
+        if (!componentEl) return;
+
+        const actionId = Array.isArray(params?.params)
+            ? this._actionId(method, params.params)
+            : params ? `${method}(${JSON.stringify(params)})` : method;
+
+        const loadingElements = componentEl.querySelectorAll(`
+            [wisp\\:loading],
+            [wisp\\:loading\\.class],
+            [wisp\\:loading\\.attr],
+            [wisp\\:loading\\.remove],
+            [wisp\\:loading\\.flex],
+            [wisp\\:loading\\.inline-flex],
+            [wisp\\:loading\\.block],
+            [wisp\\:loading\\.grid],
+            [wisp\\:loading\\.table],
+            [wisp\\:loading\\.spinner]
+        `);
+
+        loadingElements.forEach(el => {
+            const target = el.getAttribute('wisp:loading.target');
+            if (target && !this.matchesTarget(target, actionId, method)) {
+                return;
+            }
+
+            const exceptTarget = el.getAttribute('wisp:loading.target.except');
+            if (exceptTarget && this.matchesTarget(exceptTarget, actionId, method)) {
+                return;
+            }
+
+            this.applyLoadingState(el, isLoading);
+        });
+    }
+
+    /**
+     * Applies loading state to individual element
+     * @static
+     * @param {HTMLElement} el - Element to modify
+     * @param {boolean} isLoading - Loading state
+     */
+   static applyLoadingState(el, isLoading) {
+        if (!el._loadingState) {
+            el._loadingState = {
+                display: el.style.display,
+                classes: [...el.classList],
+                attributes: {},
+                wasFocused: document.activeElement === el || el._pendingFocus,
+                selectionStart: el.selectionStart,
+                selectionEnd: el.selectionEnd
+            };
+        }
+
+        el.setAttribute('aria-busy', isLoading);
+
+        if (el.hasAttribute('wisp:loading.spinner')) {
+            if (isLoading) {
+                const spinner = document.createElement('div');
+                spinner.className = 'wisp-spinner';
+                spinner.innerHTML = `
+                    <svg viewBox="0 0 50 50">
+                        <circle cx="25" cy="25" r="20" fill="none" stroke="currentColor" stroke-width="5"></circle>
+                    </svg>
+                `;
+                el._loadingSpinner = spinner;
+                el.appendChild(spinner);
+            } else if (el._loadingSpinner) {
+                el._loadingSpinner.remove();
+                delete el._loadingSpinner;
+            }
+        }
+
+        if (el.hasAttribute('wisp:loading') && !el.hasAttribute('wisp:loading.remove')) {
+            const displayType = this.getDisplayType(el);
+            el.style.display = isLoading ? displayType : 'none';
+        }
+
+        if (el.hasAttribute('wisp:loading.remove')) {
+            el.style.display = isLoading ? 'none' : '';
+        }
+
+        const classModifier = el.getAttribute('wisp:loading.class');
+        if (classModifier) {
+            const types = classModifier.split(';');
+            types.forEach((type) => {
+                const [action, ...classes] = type.trim().split(' ');
+                const classList = classes.join(' ');
+                el.classList.toggle(classList, action === 'remove' ? !isLoading : isLoading);
+            });
+        }
+
+        const attrModifier = el.getAttribute('wisp:loading.attr');
+        if (attrModifier) {
+            attrModifier.split(',').forEach(pair => {
+                const [key, value] = pair.split('=').map(s => s.trim());
+                if (key) {
+                    if (isLoading) {
+                        el._loadingState.attributes[key] = el.hasAttribute(key);
+                        el.setAttribute(key, value || '');
+                    } else {
+                        el.removeAttribute(key);
+
+                        if (el._loadingState.attributes[key]) {
+                            setTimeout(() => {
+                                el.setAttribute(key, '');
+                            }, 0);
+                        }
+                    }
+                }
+            });
+        }
+
+        if (!isLoading && el._loadingState.wasFocused) {
+            setTimeout(() => {
+                if (el.disabled) {
+                    requestAnimationFrame(() => {
+                        if (!el.disabled) {
+                            el.focus();
+                            if (
+                                typeof el._loadingState.selectionStart === 'number' &&
+                                typeof el._loadingState.selectionEnd === 'number' &&
+                                'setSelectionRange' in el
+                            ) {
+                                el.setSelectionRange(el._loadingState.selectionStart, el._loadingState.selectionEnd);
+                            }
+                        }
+                        delete el._pendingFocus;
+                        delete el._selectionStart;
+                        delete el._selectionEnd;
+                    });
+                } else {
+                    el.focus();
+                    if (
+                        typeof el._loadingState.selectionStart === 'number' &&
+                        typeof el._loadingState.selectionEnd === 'number' &&
+                        'setSelectionRange' in el
+                    ) {
+                        el.setSelectionRange(el._loadingState.selectionStart, el._loadingState.selectionEnd);
+                    }
+                    delete el._pendingFocus;
+                    delete el._selectionStart;
+                    delete el._selectionEnd;
+                }
+            }, 0);
+        }
+
+        if (!isLoading) {
+            setTimeout(() => {
+                el.removeAttribute('aria-busy');
+                delete el._loadingState;
+            }, 150);
+        }
+    }
+
+    /**
+     * Initializes loading states for elements
+     * @static
+     * @param {Document|HTMLElement} [root=document] - Subtree to initialize
+     */
+    static initLoadingStates(root = document) {
+        this._bindableElements(root, '[wisp\\:loading]:not([wisp\\:loading\\.remove])').forEach(el => {
+            el.style.display = 'none';
+        });
+    }
+
+    /**
+     * Gets display type for loading state
+     * @static
+     * @param {HTMLElement} el - Element to check
+     * @returns {string} CSS display value
+     */
+   static getDisplayType(el) {
+        if (el.hasAttribute('wisp:loading.flex')) return 'flex';
+        if (el.hasAttribute('wisp:loading.inline-flex')) return 'inline-flex';
+        if (el.hasAttribute('wisp:loading.block')) return 'block';
+        if (el.hasAttribute('wisp:loading.grid')) return 'grid';
+        if (el.hasAttribute('wisp:loading.table')) return 'table';
+        return 'inline-block';
+    }
+
+    /**
+     * Checks if target matches action
+     * @static
+     * @param {string} target - Target pattern
+     * @param {string} actionId - Full action ID
+     * @param {string} method - Method name
+     * @returns {boolean} True if matches
+     */
+    static matchesTarget(target, actionId, method) {
+        return this._splitTargets(target).some(t => {
+            if (t === actionId || t === method) return true;
+            if (!t.includes('(')) return false;
+
+            try {
+                const action = this.parseAction(t);
+                return action.method === method && this._actionId(method, action.params) === actionId;
+            } catch {
+                const targetParams = t.match(/\((.*)\)/)?.[1];
+                const actionParams = actionId.match(/\((.*)\)/)?.[1];
+                return t.startsWith(`${method}(`) && targetParams === actionParams;
+            }
+        });
+    }
+
+    /**
+     * Builds the action ID used to match loading targets, e.g. `remove(42,"draft")`
+     * @private
+     * @static
+     * @param {string} method - Method name
+     * @param {Array} params - Action arguments
+     * @returns {string} Action ID
+     */
+    static _actionId(method, params) {
+        return `${method}(${JSON.stringify(params).slice(1, -1)})`;
+    }
+
+    /**
+     * Splits a comma-separated target list, keeping commas inside argument lists and strings
+     * @private
+     * @static
+     * @param {string} target - Target list, e.g. `save, remove(1, 'a')`
+     * @returns {string[]} Trimmed targets
+     */
+    static _splitTargets(target) {
+        const targets = [];
+        let depth = 0;
+        let quote = null;
+        let current = '';
+
+        for (let i = 0; i < target.length; i++) {
+            const char = target[i];
+            if (quote) {
+                if (char === '\\') {
+                    current += char + (target[i + 1] ?? '');
+                    i++;
+                    continue;
+                }
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '(' || char === '[' || char === '{') {
+                depth++;
+            } else if (char === ')' || char === ']' || char === '}') {
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                targets.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+
+        targets.push(current.trim());
+        return targets.filter(Boolean);
+    }
+
+    /**
+     * Sets up navigation listener
+     * @static
+     */
+    static setupNavigationListener() {
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+
+        this._executedScripts();
+        this.currentHistoryKey = window.history.state?.wispKey || this._createHistoryKey();
+        this.historyIndex = window.history.state?.wispIndex ?? 0;
+        window.history.replaceState({
+            ...window.history.state,
+            wispKey: this.currentHistoryKey,
+            wispIndex: this.historyIndex
+        }, '');
+
+        window.addEventListener('popstate', (e) => this._restoreHistoryEntry(e.state));
+        window.addEventListener('scroll', this.debounce(() => this._saveScrollPosition(), 100), { passive: true });
+    }
+
+    /**
+     * Hydrates all server-rendered components on the page
+     * @static
+     * @description
+     * Components marked with `wisp:hydrate="visible"` or `wisp:hydrate="idle"`
+     * are hydrated lazily once they scroll into view or the browser is idle.
+     */
+    static hydrate() {
+        this.hydrateElement(document.body);
+    }
+
+    /**
+     * Hydrates server-rendered components inside a subtree
+     * @static
+     * @param {HTMLElement} root - Root element to hydrate (may itself be a component)
+     * @description
+     * Validates `wisp:data` and `wisp:checksum` of each component, registers it by
+     * `wisp:id`, binds handlers only inside the subtree and fires `wisp:hydrated`
+     * for every component that was hydrated.
+     */
+    static hydrateElement(root) {
+        if (!root) return;
+
+        if (root.nodeType === Node.ELEMENT_NODE && root.matches(this.lazyHydrationSelector)) {
+            this._binding(root).hydrated = true;
+        }
+
+        const hydrated = [];
+        this._bindableElements(root, '[wisp\\:component]').forEach(el => {
+            const problem = this._validateComponent(el);
+            if (problem) {
+                this.throwWispError(problem);
+                return;
+            }
+            hydrated.push(el);
+        });
+
+        this.bind(root);
+
+        hydrated.forEach(el => {
+            const entry = this.getComponent(el.getAttribute('wisp:id'));
+            if (!entry) return;
+            this.emit('hydrated', this._eventDetail(el, entry.name, null, { data: entry.data }));
+        });
+    }
+
+    /**
+     * Selector for components that hydrate lazily
+     * @static
+     * @type {string}
+     */
+    static lazyHydrationSelector = '[wisp\\:hydrate="visible"], [wisp\\:hydrate="idle"]';
+
+    /**
+     * Schedules lazy hydration for a component
+     * @private
+     * @static
+     * @param {HTMLElement} el - Component with a lazy wisp:hydrate mode
+     */
+    static _scheduleHydration(el) {
+        const binding = this._binding(el);
+        if (binding.hydrated || binding.hydrationScheduled) return;
+        binding.hydrationScheduled = true;
+
+        const mode = el.getAttribute('wisp:hydrate');
+
+        if (mode === 'visible' && 'IntersectionObserver' in window) {
+            const observer = new IntersectionObserver(entries => {
+                if (!entries.some(entry => entry.isIntersecting)) return;
+                observer.disconnect();
+                if (el.isConnected) this.hydrateElement(el);
+            });
+            observer.observe(el);
+            return;
+        }
+
+        const whenIdle = window.requestIdleCallback || (callback => setTimeout(callback, 1));
+        whenIdle(() => {
+            if (el.isConnected) this.hydrateElement(el);
+        });
+    }
+
+    /**
+     * Validates server markup of a component
+     * @private
+     * @static
+     * @param {HTMLElement} el - Component element
+     * @returns {string|null} Problem description or null if valid
+     */
+    static _validateComponent(el) {
+        const name = el.getAttribute('wisp:component');
+
+        if (!el.getAttribute('wisp:id')) {
+            return `Component "${name}" is missing wisp:id`;
+        }
+        if (!el.getAttribute('wisp:checksum')) {
+            return `Component "${name}" is missing wisp:checksum`;
+        }
+        try {
+            const data = JSON.parse(el.getAttribute('wisp:data') || '{}');
+            if (data === null || typeof data !== 'object') {
+                return `Component "${name}" has non-object wisp:data`;
+            }
+        } catch {
+            return `Component "${name}" has invalid wisp:data JSON`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Adds a component to the registry
+     * @static
+     * @param {HTMLElement} el - Component element
+     * @returns {Object|null} Registry entry or null if the markup is invalid
+     * @description
+     * `data` is a reactive copy of wisp:data. When the server re-renders a component
+     * with new wisp:data, its values are merged into the existing state, so
+     * client-only keys survive the update.
+     */
+    static registerComponent(el) {
+        if (this._validateComponent(el)) return null;
+
+        const id = el.getAttribute('wisp:id');
+        const dataAttribute = el.getAttribute('wisp:data') || '{}';
+        const existing = this.components.get(id);
+
+        if (existing && (existing.el === el || !existing.el.isConnected)) {
+            existing.el = el;
+            existing.name = el.getAttribute('wisp:component');
+            existing.checksum = el.getAttribute('wisp:checksum');
+            if (existing.dataAttribute !== dataAttribute) {
+                existing.dataAttribute = dataAttribute;
+                Object.assign(existing.data, JSON.parse(dataAttribute));
+            }
+            return existing;
+        }
+
+        if (existing) {
+            console.warn(`Wisp: duplicate wisp:id "${id}" on component "${el.getAttribute('wisp:component')}"`);
+        }
+
+        const entry = {
+            id,
+            name: el.getAttribute('wisp:component'),
+            checksum: el.getAttribute('wisp:checksum'),
+            dataAttribute,
+            renderQueued: false,
+            el
+        };
+        entry.data = this._reactive(JSON.parse(dataAttribute), () => this._scheduleStateRender(entry));
+
+        this.components.set(id, entry);
+        return entry;
+    }
+
+    /**
+     * Gets a registered component by its wisp:id
+     * @static
+     * @param {string} id - Component instance ID
+     * @returns {Object|null} Registry entry ({ id, name, checksum, data, el }) or null
+     */
+    static getComponent(id) {
+        const entry = this.components.get(id);
+        if (!entry) return null;
+
+        if (!entry.el.isConnected) {
+            this.components.delete(id);
+            return null;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Gets the reactive store of a component
+     * @static
+     * @param {string} id - Component instance ID
+     * @returns {Object|null} Registry entry whose `data` is reactive, or null
+     * @example
+     * Wisp.component('cart-1').data.open = true;
+     */
+    static component(id) {
+        return this.getComponent(id);
+    }
+
+    /**
+     * Renders the client-side bindings of the components in a subtree
+     * @static
+     * @param {Document|HTMLElement} [root=document] - Subtree to bind
+     */
+    static bindState(root = document) {
+        const componentEls = this._bindableElements(root, '[wisp\\:component]');
+        const parent = root.nodeType === Node.ELEMENT_NODE ? root.parentElement?.closest('[wisp\\:component]') : null;
+        if (parent) componentEls.push(parent);
+
+        componentEls.forEach(el => {
+            const entry = this.getComponent(el.getAttribute('wisp:id'));
+            if (entry?.el !== el) return;
+
+            this._renderState(entry);
+        });
+    }
+
+    /**
+     * Writes the value of a wisp:model.local input to its component's store
+     * @private
+     * @static
+     * @param {HTMLElement} input - Input with wisp:model.local
+     * @param {Event} e - Input or change event
+     */
+    static _handleLocalModel(input, e) {
+        const changeOnly = input.type === 'checkbox' || input.type === 'radio' || input.tagName === 'SELECT';
+        if (changeOnly !== (e.type === 'change')) return;
+        if (input.type === 'radio' && !input.checked) return;
+
+        const entry = this.getComponent(input.closest('[wisp\\:component]')?.getAttribute('wisp:id'));
+        if (!entry) return;
+
+        this._setPath(entry.data, input.getAttribute('wisp:model.local'), input.type === 'checkbox' ? input.checked : input.value);
+    }
+
+    /**
+     * Queues a render of a component's bindings after its state changed
+     * @private
+     * @static
+     * @param {Object} entry - Registry entry
+     */
+    static _scheduleStateRender(entry) {
+        if (entry.renderQueued) return;
+        entry.renderQueued = true;
+
+        queueMicrotask(() => {
+            entry.renderQueued = false;
+            if (entry.el.isConnected) this._renderState(entry);
+        });
+    }
+
+    /**
+     * Applies wisp:text, wisp:show, wisp:class and wisp:model.local of a component
+     * @private
+     * @static
+     * @param {Object} entry - Registry entry
+     */
+    static _renderState(entry) {
+        const scope = entry.data;
+
+        this._stateElements(entry, '[wisp\\:text]').forEach(el => {
+            const value = this._evaluateBinding(el, 'wisp:text', scope);
+            const text = value === undefined || value === null ? '' : String(value);
+            if (el.textContent !== text) el.textContent = text;
+        });
+
+        this._stateElements(entry, '[wisp\\:show]').forEach(el => {
+            el.style.display = this._evaluateBinding(el, 'wisp:show', scope) ? '' : 'none';
+        });
+
+        this._stateElements(entry, '[wisp\\:class]').forEach(el => {
+            const classes = this._evaluateBinding(el, 'wisp:class', scope) || {};
+            Object.entries(classes).forEach(([names, active]) => {
+                names.split(/\s+/).filter(Boolean).forEach(name => el.classList.toggle(name, !!active));
+            });
+        });
+
+        this._stateElements(entry, '[wisp\\:model\\.local]').forEach(input => {
+            const value = this._getPath(scope, input.getAttribute('wisp:model.local'));
+            if (input.type === 'checkbox') {
+                input.checked = !!value;
+            } else if (input.type === 'radio') {
+                input.checked = String(value) === input.value;
+            } else if (input.value !== String(value ?? '')) {
+                input.value = value ?? '';
+            }
+        });
+    }
+
+    /**
+     * Evaluates a binding attribute, logging instead of throwing on bad expressions
+     * @private
+     * @static
+     * @param {HTMLElement} el - Element with the binding
+     * @param {string} attribute - Attribute holding the expression
+     * @param {Object} scope - Values available to the expression
+     * @returns {*} Result, or undefined if the expression is invalid
+     */
+    static _evaluateBinding(el, attribute, scope) {
+        try {
+            return this.evaluate(el.getAttribute(attribute), scope);
+        } catch (error) {
+            console.error(`Wisp: invalid ${attribute} expression`, el, error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Finds the elements of a component matching a selector, skipping nested components
+     * @private
+     * @static
+     * @param {Object} entry - Registry entry
+     * @param {string} selector - CSS selector
+     * @returns {HTMLElement[]} Matching elements
+     */
+    static _stateElements(entry, selector) {
+        return this._queryAll(entry.el, selector)
+            .filter(el => el.closest('[wisp\\:component]') === entry.el);
+    }
+
+    /**
+     * Wraps an object in a Proxy that reports writes, including to nested objects
+     * @private
+     * @static
+     * @param {Object} target - Object to observe
+     * @param {Function} onChange - Called after a property was set or deleted
+     * @param {WeakMap} [proxies=new WeakMap()] - Proxies already created for nested objects
+     * @returns {Proxy} Reactive object
+     */
+    static _reactive(target, onChange, proxies = new WeakMap()) {
+        if (proxies.has(target)) return proxies.get(target);
+
+        const proxy = new Proxy(target, {
+            get: (obj, key) => {
+                const value = Reflect.get(obj, key);
+                return value !== null && typeof value === 'object'
+                    ? this._reactive(value, onChange, proxies)
+                    : value;
+            },
+            set: (obj, key, value) => {
+                const changed = obj[key] !== value;
+                obj[key] = value;
+                if (changed) onChange();
+                return true;
+            },
+            deleteProperty: (obj, key) => {
+                delete obj[key];
+                onChange();
+                return true;
+            }
+        });
+
+        proxies.set(target, proxy);
+        return proxy;
+    }
+
+    /**
+     * Reads a dotted path (e.g. `user.name`) from an object
+     * @private
+     * @static
+     * @param {Object} obj - Source object
+     * @param {string} path - Dotted path
+     * @returns {*} Value, or undefined
+     */
+    static _getPath(obj, path) {
+        return path.split('.').reduce((value, key) => {
+            if (value === null || value === undefined || this.unsafeKeys.has(key)) return undefined;
+            return value[key];
+        }, obj);
+    }
+
+    /**
+     * Writes a dotted path (e.g. `user.name`) on an object, creating missing objects
+     * @private
+     * @static
+     * @param {Object} obj - Target object
+     * @param {string} path - Dotted path
+     * @param {*} value - Value to write
+     */
+    static _setPath(obj, path, value) {
+        const keys = path.split('.');
+        if (keys.some(key => this.unsafeKeys.has(key))) return;
+
+        const last = keys.pop();
+        const target = keys.reduce((current, key) => {
+            if (current[key] === null || typeof current[key] !== 'object') current[key] = {};
+            return current[key];
+        }, obj);
+        target[last] = value;
+    }
+
+    /**
+     * Property names expressions may never read or write
+     * @static
+     * @type {Set<string>}
+     */
+    static unsafeKeys = new Set(['__proto__', 'constructor', 'prototype']);
+
+    /**
+     * Parsed expressions keyed by source
+     * @private
+     * @static
+     * @type {Map<string, Object>}
+     */
+    static expressions = new Map();
+
+    /**
+     * Parsed statement lists keyed by source
+     * @private
+     * @static
+     * @type {Map<string, Object>}
+     */
+    static statements = new Map();
+
+    /**
+     * Evaluates a binding expression without eval
+     * @static
+     * @param {string} expression - Expression source, e.g. `count > 0 && !open`
+     * @param {Object} [scope={}] - Values available to the expression by name
+     * @returns {*} Result of the expression
+     * @throws {WispError} If the expression cannot be parsed
+     * @description
+     * Supports names and member access (`user.name`, `items[0]`), string, number,
+     * boolean and null literals, object and array literals, `!`, unary `-`,
+     * arithmetic, comparison, `&&`, `||`, `??` and the ternary operator.
+     * Function calls are not supported.
+     */
+    static evaluate(expression, scope = {}) {
+        let ast = this.expressions.get(expression);
+        if (!ast) {
+            ast = this._parseExpression(expression);
+            this.expressions.set(expression, ast);
+        }
+        return this._evaluateNode(ast, scope);
+    }
+
+    /**
+     * Runs assignment statements against a scope without eval
+     * @static
+     * @param {string} source - Statements separated by `;`, e.g. `liked = !liked; likes += liked ? 1 : -1`
+     * @param {Object} [scope={}] - Object read and written by name
+     * @returns {*} Value of the last statement
+     * @throws {WispError} If the statements cannot be parsed
+     * @description
+     * Accepts everything `evaluate` does, plus `=`, `+=`, `-=`, `*=`, `/=`,
+     * `++` and `--` on names and members. Assignments only reach plain data:
+     * targets under `$` names (`$el`, `$event`) or DOM nodes are ignored.
+     * @example
+     * Wisp.execute('count++; open = true', Wisp.component('cart-1').data);
+     */
+    static execute(source, scope = {}) {
+        return this._evaluateNode(this._parseStatements(source), scope);
+    }
+
+    /**
+     * Parses (and caches) a statement list
+     * @private
+     * @static
+     * @param {string} source - Statement source
+     * @returns {Object} AST node
+     */
+    static _parseStatements(source) {
+        let ast = this.statements.get(source);
+        if (!ast) {
+            ast = this._parseExpression(source, { assignments: true });
+            this.statements.set(source, ast);
+        }
+        return ast;
+    }
+
+    /**
+     * Splits an expression into tokens
+     * @private
+     * @static
+     * @param {string} source - Expression source
+     * @returns {Array<{type: string, value: *}>} Tokens
+     * @throws {WispError} On unexpected characters
+     */
+    static _tokenize(source) {
+        const pattern = /\s*(?:(\d+(?:\.\d+)?)|('(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*")|([A-Za-z_$][\w$]*)|(===|!==|==|!=|<=|>=|&&|\|\||\?\?|\+\+|--|[-+*\/]=|[-+*\/%!<>?:.,()[\]{}=;]))/y;
+        const tokens = [];
+        let index = 0;
+
+        while (index < source.length && /\S/.test(source.slice(index))) {
+            pattern.lastIndex = index;
+            const match = pattern.exec(source);
+            if (!match) {
+                this.throwWispError(`Unexpected character in expression "${source}"`, true);
+            }
+            index = pattern.lastIndex;
+
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'literal', value: Number(match[1]) });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'literal', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+            } else if (match[3] !== undefined) {
+                tokens.push({ type: 'name', value: match[3] });
+            } else {
+                tokens.push({ type: 'op', value: match[4] });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parses an expression into an AST
+     * @private
+     * @static
+     * @param {string} source - Expression source
+     * @param {Object} [options={}] - Parser options
+     * @param {boolean} [options.assignments=false] - Allow assignments and `;`-separated statements
+     * @returns {Object} AST node
+     * @throws {WispError} On syntax errors
+     */
+    static _parseExpression(source, { assignments = false } = {}) {
+        const tokens = this._tokenize(source);
+        const keywords = { true: true, false: false, null: null, undefined: undefined };
+        const binary = [
+            ['||', '??'],
+            ['&&'],
+            ['==', '!=', '===', '!=='],
+            ['<', '>', '<=', '>='],
+            ['+', '-'],
+            ['*', '/', '%']
+        ];
+        let position = 0;
+
+        const fail = () => this.throwWispError(`Invalid expression "${source}"`, true);
+        const peek = (value) => tokens[position]?.type === 'op' && tokens[position].value === value;
+        const expect = (value) => {
+            if (!peek(value)) fail();
+            position++;
+        };
+
+        const assignable = (node) => {
+            if (node.type !== 'name' && node.type !== 'member') fail();
+            return node;
+        };
+
+        const parseAssignment = () => {
+            if (peek('++') || peek('--')) {
+                const op = tokens[position++].value;
+                return { type: 'assign', op: `${op[0]}=`, target: assignable(parsePostfix()), value: { type: 'literal', value: 1 } };
+            }
+
+            const node = parseTernary();
+            if (peek('++') || peek('--')) {
+                const op = tokens[position++].value;
+                return { type: 'assign', op: `${op[0]}=`, target: assignable(node), value: { type: 'literal', value: 1 } };
+            }
+            if (['=', '+=', '-=', '*=', '/='].some(peek)) {
+                const op = tokens[position++].value;
+                return { type: 'assign', op, target: assignable(node), value: parseAssignment() };
+            }
+            return node;
+        };
+
+        const parseStatements = () => {
+            const body = [];
+            while (position < tokens.length) {
+                if (peek(';')) {
+                    position++;
+                    continue;
+                }
+                body.push(parseAssignment());
+                if (position < tokens.length) expect(';');
+            }
+            if (body.length === 0) fail();
+            return body.length === 1 ? body[0] : { type: 'sequence', body };
+        };
+
+        const parseTernary = () => {
+            const test = parseBinary(0);
+            if (!peek('?')) return test;
+            position++;
+            const consequent = parseTernary();
+            expect(':');
+            return { type: 'conditional', test, consequent, alternate: parseTernary() };
+        };
+
+        const parseBinary = (level) => {
+            if (level === binary.length) return parseUnary();
+
+            let left = parseBinary(level + 1);
+            while (binary[level].some(peek)) {
+                const op = tokens[position++].value;
+                left = { type: 'binary', op, left, right: parseBinary(level + 1) };
+            }
+            return left;
+        };
+
+        const parseUnary = () => {
+            if (peek('!') || peek('-') || peek('+')) {
+                const op = tokens[position++].value;
+                return { type: 'unary', op, argument: parseUnary() };
+            }
+            return parsePostfix();
+        };
+
+        const parsePostfix = () => {
+            let node = parsePrimary();
+            while (peek('.') || peek('[')) {
+                if (tokens[position++].value === '.') {
+                    const name = tokens[position++];
+                    if (name?.type !== 'name') fail();
+                    node = { type: 'member', object: node, property: { type: 'literal', value: name.value } };
+                } else {
+                    node = { type: 'member', object: node, property: parseTernary() };
+                    expect(']');
+                }
+            }
+            return node;
+        };
+
+        const parsePrimary = () => {
+            const token = tokens[position++];
+            if (!token) fail();
+
+            if (token.type === 'literal') return { type: 'literal', value: token.value };
+            if (token.type === 'name') {
+                return Object.hasOwn(keywords, token.value)
+                    ? { type: 'literal', value: keywords[token.value] }
+                    : { type: 'name', name: token.value };
+            }
+            if (token.value === '(') {
+                const node = parseTernary();
+                expect(')');
+                return node;
+            }
+            if (token.value === '[') {
+                const elements = [];
+                while (!peek(']')) {
+                    elements.push(parseTernary());
+                    if (!peek(']')) expect(',');
+                }
+                position++;
+                return { type: 'array', elements };
+            }
+            if (token.value === '{') {
+                const properties = [];
+                while (!peek('}')) {
+                    const key = tokens[position++];
+                    if (!key || key.type === 'op') fail();
+                    expect(':');
+                    properties.push({ key: String(key.value), value: parseTernary() });
+                    if (!peek('}')) expect(',');
+                }
+                position++;
+                return { type: 'object', properties };
+            }
+
+            return fail();
+        };
+
+        const ast = assignments ? parseStatements() : parseTernary();
+        if (position < tokens.length) fail();
+        return ast;
+    }
+
+    /**
+     * Evaluates an expression AST
+     * @private
+     * @static
+     * @param {Object} node - AST node
+     * @param {Object} scope - Values available by name
+     * @returns {*} Result
+     */
+    static _evaluateNode(node, scope) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'name':
+                return scope !== null && typeof scope === 'object' && node.name in scope && !this.unsafeKeys.has(node.name)
+                    ? scope[node.name]
+                    : undefined;
+            case 'member': {
+                const object = this._evaluateNode(node.object, scope);
+                const key = String(this._evaluateNode(node.property, scope));
+                if (object === null || object === undefined || this.unsafeKeys.has(key)) return undefined;
+                return object[key];
+            }
+            case 'unary': {
+                const value = this._evaluateNode(node.argument, scope);
+                if (node.op === '!') return !value;
+                return node.op === '-' ? -value : +value;
+            }
+            case 'binary': {
+                const left = this._evaluateNode(node.left, scope);
+                if (node.op === '&&') return left && this._evaluateNode(node.right, scope);
+                if (node.op === '||') return left || this._evaluateNode(node.right, scope);
+                if (node.op === '??') return left ?? this._evaluateNode(node.right, scope);
+
+                const right = this._evaluateNode(node.right, scope);
+                switch (node.op) {
+                    case '==': return left == right;
+                    case '!=': return left != right;
+                    case '===': return left === right;
+                    case '!==': return left !== right;
+                    case '<': return left < right;
+                    case '>': return left > right;
+                    case '<=': return left <= right;
+                    case '>=': return left >= right;
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/': return left / right;
+                    case '%': return left % right;
+                }
+                return undefined;
+            }
+            case 'conditional':
+                return this._evaluateNode(node.test, scope)
+                    ? this._evaluateNode(node.consequent, scope)
+                    : this._evaluateNode(node.alternate, scope);
+            case 'assign': {
+                const { target } = node;
+                const object = target.type === 'name'
+                    ? (target.name.startsWith('$') ? null : scope)
+                    : this._assignableObject(target.object, scope);
+                const key = target.type === 'name' ? target.name : String(this._evaluateNode(target.property, scope));
+                if (object === null || typeof object !== 'object' || this.unsafeKeys.has(key)) return undefined;
+
+                const value = this._evaluateNode(node.value, scope);
+                switch (node.op) {
+                    case '=': object[key] = value; break;
+                    case '+=': object[key] += value; break;
+                    case '-=': object[key] -= value; break;
+                    case '*=': object[key] *= value; break;
+                    case '/=': object[key] /= value; break;
+                }
+                return object[key];
+            }
+            case 'sequence':
+                return node.body.reduce((result, statement) => this._evaluateNode(statement, scope), undefined);
+            case 'array':
+                return node.elements.map(element => this._evaluateNode(element, scope));
+            case 'object':
+                return Object.fromEntries(node.properties
+                    .filter(({ key }) => !this.unsafeKeys.has(key))
+                    .map(({ key, value }) => [key, this._evaluateNode(value, scope)]));
+        }
+        return undefined;
+    }
+
+    /**
+     * Resolves the object an assignment writes to
+     * @private
+     * @static
+     * @param {Object} node - Name or member node left of the assigned key
+     * @param {Object} scope - Values available by name
+     * @returns {Object|null} Object to write to, or null if the target is not writable
+     * @description
+     * Only plain data is writable: chains rooted at a `$` name (`$el`, `$event`, ...)
+     * or passing through a DOM node, window or event are rejected.
+     */
+    static _assignableObject(node, scope) {
+        let value;
+        if (node.type === 'name') {
+            if (node.name.startsWith('$')) return null;
+            value = this._evaluateNode(node, scope);
+        } else if (node.type === 'member') {
+            const parent = this._assignableObject(node.object, scope);
+            const key = String(this._evaluateNode(node.property, scope));
+            if (parent === null || this.unsafeKeys.has(key)) return null;
+            value = parent[key];
+        } else {
+            return null;
+        }
+
+        if (value === null || typeof value !== 'object') return null;
+        if (value instanceof EventTarget || value instanceof Event) return null;
+        return value;
+    }
+
+    /**
+     * Finds elements matching a selector in a subtree, including the root
+     * @private
+     * @static
+     * @param {Document|HTMLElement} root - Subtree root
+     * @param {string} selector - CSS selector
+     * @returns {HTMLElement[]} Matching elements
+     */
+    static _queryAll(root, selector) {
+        const elements = Array.from(root.querySelectorAll(selector));
+        if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) {
+            elements.unshift(root);
+        }
+        return elements;
+    }
+
+    /**
+     * Finds elements in a subtree that are not inside a pending lazy component
+     * @private
+     * @static
+     * @param {Document|HTMLElement} root - Subtree root
+     * @param {string} selector - CSS selector
+     * @returns {HTMLElement[]} Bindable elements
+     */
+    static _bindableElements(root, selector) {
+        return this._queryAll(root, selector).filter(el => this._isBindable(el));
+    }
+
+    /**
+     * Binds all Wisp event handlers
+     * @static
+     * @param {Document|HTMLElement} [root=document] - Subtree to bind
+     */
+    static bind(root = document) {
+        const startTime = performance.now();
+        this.setupDelegation();
+
+        this._bindableElements(root, '[wisp\\:component]').forEach(el => this.registerComponent(el));
+
+        if (root === document) {
+            this.components.forEach((entry, id) => {
+                if (!entry.el.isConnected) this.components.delete(id);
+            });
+        }
+
+        this.bindState(root);
+        this.bindPolling(root);
+        this.initLoadingStates(root);
+        this.bindModelBindings(root);
+        this._restoreClientErrors(root);
+        this.bindNavigation(root);
+        this.bindBrowserEvents(root);
+        this.bindDirectives(root);
+        this.bindTransitions(root);
+        this.bindStreams(root);
+
+        this._queryAll(root, this.lazyHydrationSelector).forEach(el => this._scheduleHydration(el));
+
+        if (this.config.enablePerformanceLogging) {
+            const duration = performance.now() - startTime;
+            const size = root === document ? 'document' : `${root.getElementsByTagName('*').length + 1} elements`;
+            console.debug(`Wisp bind (${size}) took ${duration.toFixed(2)}ms`);
+        }
+    }
+
+    /**
+     * Releases the bindings of a removed subtree
+     * @static
+     * @param {HTMLElement} root - Removed element
+     * @description
+     * Stops pollers, prefetch observers and streams of the subtree and removes its
+     * components from the registry. Elements that were only moved are skipped.
+     */
+    static unbind(root) {
+        if (root.isConnected) return;
+
+        this._queryAll(root, '[wisp\\:component]').forEach(el => {
+            const id = el.getAttribute('wisp:id');
+            if (this.components.get(id)?.el === el) this.components.delete(id);
+        });
+
+        this._queryAll(root, '[wisp\\:poll]').forEach(el => this._stopPoller(el));
+        this._pruneDirectives();
+        this._queryAll(root, 'a[wisp\\:navigate\\.prefetch]').forEach(el => this.prefetchObserver?.unobserve(el));
+
+        if (root.matches('[wisp\\:stream]') || root.querySelector('[wisp\\:stream]')) {
+            this._pruneStreams();
+        }
+    }
+
+    /**
+     * Installs the document-level listeners that handle wisp:click, wisp:submit,
+     * wisp:navigate and wisp:model for all current and future elements
+     * @static
+     */
+    static setupDelegation() {
+        if (this.delegated) return;
+        this.delegated = true;
+
+        document.addEventListener('click', this.handleDelegatedEvent);
+        document.addEventListener('submit', this.handleDelegatedEvent);
+        document.addEventListener('input', this.handleDelegatedEvent);
+        document.addEventListener('change', this.handleDelegatedEvent);
+        document.addEventListener('focusout', this.handleDelegatedEvent);
+        document.addEventListener('mouseover', this.handleDelegatedEvent);
+        document.addEventListener('focusin', this.handleDelegatedEvent);
+        document.addEventListener('touchstart', this.handleDelegatedEvent, { passive: true });
+    }
+
+    /**
+     * Routes a document-level event to the Wisp handler of its target
+     * @static
+     * @param {Event} e - Bubbling DOM event
+     */
+    static handleDelegatedEvent = (e) => {
+        const closest = (selector) => {
+            const el = e.target instanceof Element ? e.target.closest(selector) : null;
+            return el && this._isBindable(el) ? el : null;
+        };
+
+        switch (e.type) {
+            case 'click': {
+                const el = closest('[wisp\\:click]');
+                if (el && this.closestComponent(el)) {
+                    this.handleClick(e, el);
+                    return;
+                }
+
+                const link = closest('a[wisp\\:navigate], a[wisp-navigate]');
+                if (link) this.handleNavigate(e, link);
+                return;
+            }
+            case 'submit': {
+                const form = closest('form[wisp\\:submit]');
+                if (form && this.closestComponent(form)) {
+                    this.handleSubmit(e, form);
+                    return;
+                }
+
+                const navigationForm = closest('form[wisp\\:navigate]');
+                if (navigationForm) this.handleNavigateSubmit(e, navigationForm);
+                return;
+            }
+            case 'input':
+            case 'change':
+            case 'focusout': {
+                const local = closest('[wisp\\:model\\.local]');
+                if (local && e.type !== 'focusout') this._handleLocalModel(local, e);
+
+                const el = closest('[wisp\\:model]');
+                if (el) this._modelHandlers(el)?.[e.type]?.(e);
+                return;
+            }
+            default: {
+                const link = closest('a[wisp\\:navigate\\.prefetch]');
+                if (link && link.getAttribute('wisp:navigate.prefetch') !== 'visible') {
+                    this.handlePrefetch(e, link);
+                }
+            }
+        }
+    };
+
+    /**
+     * Gets the binding state of an element, creating it on first use
+     * @private
+     * @static
+     * @param {Element} el - Element
+     * @returns {Object} Binding state
+     */
+    static _binding(el) {
+        let binding = this.bindings.get(el);
+        if (!binding) {
+            binding = {};
+            this.bindings.set(el, binding);
+        }
+        return binding;
+    }
+
+    /**
+     * Checks that an element is not inside a lazy component that is not hydrated yet
+     * @private
+     * @static
+     * @param {Element} el - Element
+     * @returns {boolean} True if Wisp may handle the element
+     */
+    static _isBindable(el) {
+        const lazy = el.closest(this.lazyHydrationSelector);
+        return !lazy || this.bindings.get(lazy)?.hydrated === true;
+    }
+
+
+    /**
+     * Sets up MutationObserver for dynamic content
+     * @static
+     */
+    static setupObserver() {
+        if (this.observer) return;
+
+        this.observer = new MutationObserver(mutations => {
+            const added = new Set();
+            const removed = new Set();
+
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) added.add(node);
+                });
+                mutation.removedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) removed.add(node);
+                });
+            });
+
+            const isNested = (node) => {
+                for (let parent = node.parentElement; parent; parent = parent.parentElement) {
+                    if (added.has(parent)) return true;
+                }
+                return false;
+            };
+
+            added.forEach(node => {
+                if (node.isConnected && !isNested(node)) this.bind(node);
+            });
+            removed.forEach(node => this.unbind(node));
+        });
+
+        this.observer.observe(document.body, {
+            childList: true,
+            subtree: true
+        });
+    }
+
+    /**
+     * Binds model data to form elements
+     * @static
+     * @param {Document|HTMLElement} [root=document] - Subtree to bind
+     */
+    static bindModelBindings(root = document) {
+        this._bindableElements(root, '[wisp\\:model]').forEach(el => {
+            const modelName = el.getAttribute('wisp:model');
+            const componentEl = el.closest('[wisp\\:component]');
+            if (!componentEl || !modelName || el.type === 'file') return;
+
+            const componentData = JSON.parse(componentEl.getAttribute('wisp:data') || '{}');
+            const pending = this._pendingValue(el);
+            const value = pending ? pending.value : componentData[modelName];
+
+            if (el.type === 'checkbox') {
+                el.checked = !!value;
+            } else if (el.type === 'radio') {
+                el.checked = value === el.value;
+            } else {
+                el.value = value ?? '';
+            }
+        });
+    }
+
+    /**
+     * Gets the value of a form control that the server has not received
+     * @private
+     * @static
+     * @param {HTMLElement} el - Form control
+     * @returns {{value: *}|null} Value that failed its wisp:rules or waits as a deferred update, or null
+     */
+    static _pendingValue(el) {
+        const componentEl = el.closest('[wisp\\:component]');
+        const field = this._fieldName(el);
+        if (!componentEl || !field) return null;
+
+        const invalid = this.bindings.get(componentEl)?.clientErrors;
+        if (invalid?.has(field)) return { value: invalid.get(field) };
+
+        const key = componentEl.getAttribute('wisp:id') || componentEl.getAttribute('wisp:component');
+        const deferred = this.deferredUpdates.get(key);
+        if (deferred && el.hasAttribute('wisp:model') && Object.hasOwn(deferred, field)) {
+            return { value: deferred[field] };
+        }
+        return null;
+    }
+
+    /**
+     * Renders client validation errors again after a server render cleared them
+     * @private
+     * @static
+     * @param {Document|HTMLElement} root - Subtree to bind
+     */
+    static _restoreClientErrors(root) {
+        this._bindableElements(root, '[wisp\\:rules]').forEach(el => {
+            const componentEl = el.closest('[wisp\\:component]');
+            if (componentEl && this.bindings.get(componentEl)?.clientErrors?.has(this._fieldName(el))) {
+                this.validate(el);
+            }
+        });
+    }
+
+    /**
+     * Gets the event handlers of a wisp:model element
+     * @private
+     * @static
+     * @param {HTMLElement} el - Element with wisp:model
+     * @returns {Object|null} Handlers keyed by event type (input, change, focusout)
+     * @description
+     * Handlers are created on first use and kept in the element's binding state.
+     * They are rebuilt when the element's model attributes change.
+     */
+    static _modelHandlers(el) {
+        const modelName = el.getAttribute('wisp:model');
+        if (!modelName || !this.closestComponent(el)) return null;
+
+        const quietMode = el.hasAttribute('wisp:model.quiet');
+        const deferred = el.hasAttribute('wisp:model.defer');
+        const lazy = el.hasAttribute('wisp:model.lazy');
+        const delay = el.getAttribute('wisp:model.delay') ||
+                     el.getAttribute('wisp:delay') ||
+                     (quietMode ? this.config.quietDebounce :
+                      el.type === 'text' || el.type === 'textarea' ? this.config.defaultDebounce : 0);
+
+        const binding = this._binding(el);
+        const signature = [modelName, quietMode, deferred, lazy, delay].join('|');
+        if (binding.model?.signature === signature) return binding.model.handlers;
+
+        if (el.type === 'file') {
+            binding.model = { signature, handlers: { change: () => this.uploadModel(el) } };
+            return binding.model.handlers;
+        }
+
+        const updateValue = () => {
+            if (el.hasAttribute('wisp:rules') && this.validate(el).length > 0) return;
+
+            const componentEl = el.closest('[wisp\\:component]');
+            const component = this.closestComponent(el);
+            if (!componentEl || !component) return;
+
+            const value = el.type === 'checkbox' ? el.checked : el.value;
+            const detail = this._eventDetail(componentEl, component, '__updateModel', {
+                field: modelName,
+                value,
+                trigger: el
+            });
+            if (!this.emit('model:change', detail)) return;
+
+            if (deferred) {
+                this.deferModelUpdate(componentEl, modelName, detail.value);
+            } else {
+                this.call(component, '__updateModel', { [modelName]: detail.value }, el).catch(() => {});
+            }
+        };
+
+        let handlers;
+        if (el.tagName === 'SELECT' || el.type === 'checkbox' || el.type === 'radio' || lazy) {
+            handlers = { change: updateValue };
+        } else if (deferred) {
+            handlers = { input: updateValue };
+        } else if (quietMode) {
+            handlers = { input: this.debounceQuiet(updateValue, parseInt(delay)) };
+        } else {
+            handlers = { input: this.debounce(updateValue, parseInt(delay)), focusout: updateValue };
+        }
+
+        binding.model = { signature, handlers };
+        return handlers;
+    }
+
+    /**
+     * Stores a model value to be sent with the component's next call
+     * @static
+     * @param {HTMLElement} componentEl - Component element
+     * @param {string} field - Model name
+     * @param {*} value - New value
+     * @description
+     * The value is also written to the component's client store, so client
+     * bindings show it right away.
+     */
+    static deferModelUpdate(componentEl, field, value) {
+        const componentId = componentEl.getAttribute('wisp:id');
+        const key = componentId || componentEl.getAttribute('wisp:component');
+
+        if (!this.deferredUpdates.has(key)) this.deferredUpdates.set(key, {});
+        this.deferredUpdates.get(key)[field] = value;
+
+        const entry = this.getComponent(componentId);
+        if (entry) entry.data[field] = value;
+    }
+
+    /**
+     * Removes and returns the deferred model values of a component
+     * @private
+     * @static
+     * @param {string} key - wisp:id (or component name)
+     * @returns {Object} Deferred values by model name
+     */
+    static _takeDeferredUpdates(key) {
+        const data = this.deferredUpdates.get(key) || {};
+        this.deferredUpdates.delete(key);
+        return data;
+    }
+
+    /**
+     * Puts deferred model values back after their call failed
+     * @private
+     * @static
+     * @param {string|null} key - wisp:id (or component name), null if the values were not taken from the queue
+     * @param {Object} data - Values taken for the call
+     * @description
+     * Values changed again in the meantime are not overwritten.
+     */
+    static _restoreDeferredUpdates(key, data) {
+        if (!key || Object.keys(data).length === 0) return;
+
+        this.deferredUpdates.set(key, { ...data, ...this.deferredUpdates.get(key) });
+    }
+
+    /**
+     * Event names usable as `wisp:<event>` without the `on.` prefix
+     * @static
+     * @type {Set<string>}
+     */
+    static directiveEvents = new Set([
+        'click', 'dblclick', 'contextmenu', 'submit', 'reset', 'input', 'change', 'select',
+        'keydown', 'keyup', 'keypress', 'focus', 'blur', 'focusin', 'focusout',
+        'mouseenter', 'mouseleave', 'mouseover', 'mouseout', 'mousedown', 'mouseup',
+        'pointerdown', 'pointerup', 'pointerenter', 'pointerleave',
+        'touchstart', 'touchend', 'scroll', 'wheel', 'paste', 'copy', 'cut',
+        'dragstart', 'dragend', 'dragover', 'drop'
+    ]);
+
+    /**
+     * Key names accepted as key filter modifiers, mapped to KeyboardEvent.key (lowercase)
+     * @static
+     * @type {Object<string, string>}
+     */
+    static keyAliases = {
+        enter: 'enter',
+        esc: 'escape',
+        escape: 'escape',
+        space: ' ',
+        tab: 'tab',
+        up: 'arrowup',
+        down: 'arrowdown',
+        left: 'arrowleft',
+        right: 'arrowright',
+        delete: 'delete',
+        backspace: 'backspace'
+    };
+
+    /**
+     * Binds generic event directives (`wisp:<event>.<modifiers>` and `wisp:on.<event>`)
+     * @static
+     * @param {Document|HTMLElement} [root=document] - Subtree to bind
+     * @description
+     * Plain `wisp:click` and `wisp:submit` are handled by the delegated listener.
+     * Listeners are kept in the element's binding state and replaced when its
+     * directive attributes change.
+     */
+    static bindDirectives(root = document) {
+        this._pruneDirectives();
+
+        const elements = root.nodeType === Node.ELEMENT_NODE
+            ? [root, ...root.getElementsByTagName('*')]
+            : [...root.getElementsByTagName('*')];
+
+        elements.forEach(el => {
+            const directives = this._parseDirectives(el);
+            const binding = this.bindings.get(el);
+            if (directives.length === 0 && !binding?.directives) return;
+            if (!this._isBindable(el)) return;
+
+            const signature = directives.map(directive => directive.attribute).join(' ');
+            if (binding?.directives?.signature === signature) return;
+
+            this._removeDirectives(el);
+            if (directives.length === 0) return;
+
+            this._binding(el).directives = {
+                signature,
+                listeners: directives.map(directive => this._addDirective(el, directive))
+            };
+            if (directives.some(({ modifiers }) => modifiers.includes('window') || modifiers.includes('outside'))) {
+                this.globalDirectives.add(el);
+            }
+        });
+    }
+
+    /**
+     * Parses the event directive attributes of an element
+     * @private
+     * @static
+     * @param {HTMLElement} el - Element
+     * @returns {Array<{attribute: string, event: string, modifiers: string[]}>} Directives
+     */
+    static _parseDirectives(el) {
+        const directives = [];
+
+        for (const { name } of el.attributes) {
+            if (!name.startsWith('wisp:') || !name.includes('.') && (name === 'wisp:click' || name === 'wisp:submit')) continue;
+
+            const parts = name.slice(5).split('.');
+            let event = parts.shift();
+            if (event === 'on') {
+                event = parts.shift();
+                if (!event) continue;
+            } else if (!this.directiveEvents.has(event)) {
+                continue;
+            }
+
+            directives.push({ attribute: name, event, modifiers: parts });
+        }
+
+        return directives;
+    }
+
+    /**
+     * Adds the listener of one event directive
+     * @private
+     * @static
+     * @param {HTMLElement} el - Element with the directive
+     * @param {Object} directive - Parsed directive ({ attribute, event, modifiers })
+     * @returns {Object} Listener registration ({ target, event, listener, options })
+     * @description
+     * Modifiers: prevent, stop, once, self, window, outside, passive, capture,
+     * debounce[.Nms], throttle[.Nms] and key filters (enter, escape, ctrl, shift, ...).
+     * Submit directives always prevent the native submission.
+     */
+    static _addDirective(el, { attribute, event, modifiers }) {
+        const has = (modifier) => modifiers.includes(modifier);
+        const duration = (modifier) => {
+            const value = modifiers[modifiers.indexOf(modifier) + 1];
+            const match = value?.match(/^(\d+)(ms|s)?$/);
+            if (!match) return undefined;
+            return match[2] === 's' ? parseInt(match[1]) * 1000 : parseInt(match[1]);
+        };
+
+        const known = ['prevent', 'stop', 'once', 'self', 'window', 'outside', 'passive', 'capture', 'debounce', 'throttle'];
+        const keys = modifiers.filter(modifier => !known.includes(modifier) && !/^\d+(ms|s)?$/.test(modifier));
+
+        let run = (e) => {
+            const method = el.getAttribute(attribute);
+
+            if (event === 'submit' && el.tagName === 'FORM') {
+                this.handleSubmit(e, el, method);
+            } else {
+                this._callAction(el, method, e).catch(() => {});
+            }
+        };
+        if (has('debounce')) run = this.debounce(run, duration('debounce'));
+        if (has('throttle')) run = this.throttle(run, duration('throttle'));
+
+        const registration = {
+            target: has('window') ? window : has('outside') ? document : el,
+            event,
+            options: { capture: has('capture'), passive: has('passive') }
+        };
+
+        registration.listener = (e) => {
+            if (has('self') && e.target !== el) return;
+            if (has('outside') && (!el.isConnected || el.contains(e.target))) return;
+            if (!this._matchesKeys(e, keys)) return;
+
+            if ((has('prevent') || event === 'submit') && !has('passive')) e.preventDefault();
+            if (has('stop')) e.stopPropagation();
+            if (has('once')) {
+                registration.target.removeEventListener(event, registration.listener, registration.options);
+            }
+
+            run(e);
+        };
+
+        registration.target.addEventListener(event, registration.listener, registration.options);
+        return registration;
+    }
+
+    /**
+     * Checks the key filter modifiers of a directive against an event
+     * @private
+     * @static
+     * @param {Event} e - DOM event
+     * @param {string[]} keys - Key filter modifiers, e.g. ['ctrl', 'enter']
+     * @returns {boolean} True if the event passes all filters
+     * @description
+     * ctrl, shift, alt and meta (or cmd) require the key to be held. Other names
+     * must match `e.key` (case-insensitive, dashes ignored: `page-down` matches PageDown).
+     */
+    static _matchesKeys(e, keys) {
+        return keys.every(key => {
+            if (key === 'ctrl') return e.ctrlKey;
+            if (key === 'shift') return e.shiftKey;
+            if (key === 'alt') return e.altKey;
+            if (key === 'meta' || key === 'cmd') return e.metaKey;
+            if (typeof e.key !== 'string') return false;
+
+            const expected = this.keyAliases[key] ?? key.replace(/-/g, '');
+            return e.key.toLowerCase() === expected;
+        });
+    }
+
+    /**
+     * Removes the directive listeners of an element
+     * @private
+     * @static
+     * @param {HTMLElement} el - Element
+     */
+    static _removeDirectives(el) {
+        const binding = this.bindings.get(el);
+        binding?.directives?.listeners.forEach(({ target, event, listener, options }) => {
+            target.removeEventListener(event, listener, options);
+        });
+        if (binding) delete binding.directives;
+        this.globalDirectives.delete(el);
+    }
+
+    /**
+     * Removes .window and .outside listeners of elements that left the page
+     * @private
+     * @static
+     */
+    static _pruneDirectives() {
+        this.globalDirectives.forEach(el => {
+            if (!el.isConnected) this._removeDirectives(el);
+        });
+    }
+
+    /**
+     * Listens on window for the events named in wisp:on attributes
+     * @static
+     * @param {Document|HTMLElement} [root=document] - Subtree to bind
+     * @description
+     * `wisp:on="cart-updated:refresh, logout:reset"` calls `refresh` on the closest
+     * component when the `cart-updated` event fires on window. The event detail is
+     * sent as the payload.
+     */
+    static bindBrowserEvents(root = document) {
+        this._bindableElements(root, '[wisp\\:on]').forEach(el => {
+            this._parseBrowserEvents(el).forEach(({ name }) => {
+                if (this.browserEvents.has(name)) return;
+                this.browserEvents.add(name);
+                window.addEventListener(name, this.handleBrowserEvent);
+            });
+        });
+    }
+
+    /**
+     * Handles window events for wisp:on listeners
+     * @static
+     * @param {CustomEvent} e - Browser event
+     */
+    static handleBrowserEvent = (e) => {
+        this._bindableElements(document, '[wisp\\:on]').forEach(el => {
+            const component = this.closestComponent(el);
+            if (!component) return;
+
+            let payload = e.detail ?? {};
+            if (typeof payload !== 'object') {
+                payload = { value: payload };
+            }
+
+            this._parseBrowserEvents(el)
+                .filter(({ name }) => name === e.type)
+                .forEach(({ method }) => this.call(component, method, payload, el).catch(() => {}));
+        });
+    };
+
+    /**
+     * Parses a wisp:on attribute
+     * @private
+     * @static
+     * @param {HTMLElement} el - Element with wisp:on
+     * @returns {Array<{name: string, method: string}>} Event to method pairs
+     */
+    static _parseBrowserEvents(el) {
+        return el.getAttribute('wisp:on').split(',')
+            .map(pair => pair.trim())
+            .filter(Boolean)
+            .map(pair => {
+                const separator = pair.lastIndexOf(':');
+                return {
+                    name: pair.slice(0, Math.max(separator, 0)).trim(),
+                    method: pair.slice(separator + 1).trim()
+                };
+            })
+            .filter(({ name, method }) => name && method);
+    }
+
+    /**
+     * Binds navigation handlers
+     * @static
+     * @param {Document|HTMLElement} [root=document] - Subtree to bind
+     */
+    static bindNavigation(root = document) {
+        if (!('IntersectionObserver' in window)) return;
+
+        this._bindableElements(root, 'a[wisp\\:navigate\\.prefetch="visible"]').forEach(link => {
+            this.prefetchObserver ??= new IntersectionObserver(entries => {
+                entries.filter(entry => entry.isIntersecting).forEach(entry => {
+                    this.prefetchObserver.unobserve(entry.target);
+                    this.prefetch(entry.target.getAttribute('href'));
+                });
+            });
+            this.prefetchObserver.observe(link);
+        });
+    }
+
+    /**
+     * Prefetches the target of a hovered or focused link
+     * @static
+     * @param {Event} e - Mouseover, focusin or touchstart event
+     * @param {HTMLAnchorElement} [link=e.currentTarget] - Link with wisp:navigate.prefetch
+     */
+    static handlePrefetch = (e, link = e.currentTarget) => {
+        const url = link.getAttribute('href');
+        if (!url || url === '#') return;
+
+        this.prefetch(url);
+    };
+
+    /**
+     * Handles navigation link clicks
+     * @static
+     * @param {Event} e - Click event
+     * @param {HTMLAnchorElement} [link=e.currentTarget] - Clicked wisp:navigate link
+     * @description
+     * Clicks with a modifier key or a non-primary button are left to the browser,
+     * so links can still be opened in a new tab.
+     */
+    static handleNavigate = (e, link = e.currentTarget) => {
+        if (e.button > 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        e.preventDefault();
+        const url = link.getAttribute('href');
+        if (!url || url === '#') return;
+
+        this.navigate(url, { target: link.getAttribute('wisp:navigate.target') });
+    };
+
+    /**
+     * Handles submission of navigation forms
+     * @static
+     * @param {SubmitEvent} e - Submit event
+     * @param {HTMLFormElement} [form=e.currentTarget] - Submitted wisp:navigate form
+     * @description
+     * GET forms navigate to the action URL with the fields as query string.
+     * Other methods send the fields as FormData and render the page the server
+     * answers (or redirects) with. Forms whose action is on another origin get a
+     * full page load: GET forms through `window.location`, other methods natively.
+     */
+    static handleNavigateSubmit = (e, form = e.currentTarget) => {
+        const submitter = e.submitter || null;
+
+        const method = (submitter?.getAttribute('formmethod') || form.getAttribute('method') || 'get').toLowerCase();
+        const action = submitter?.getAttribute('formaction') || form.getAttribute('action') || window.location.pathname;
+        const url = new URL(action, window.location.href);
+        const external = url.origin !== window.location.origin;
+        if (external && method !== 'get') return;
+
+        e.preventDefault();
+        const formData = new FormData(form, submitter);
+        const target = form.getAttribute('wisp:navigate.target');
+
+        if (method === 'get') {
+            url.search = new URLSearchParams(
+                [...formData.entries()].filter(([, value]) => typeof value === 'string')
+            ).toString();
+
+            if (external) {
+                window.location.href = url.href;
+            } else {
+                this.navigate(url.pathname + url.search, { target });
+            }
+            return;
+        }
+
+        if (!formData.has('_token')) {
+            formData.append('_token', this._csrfToken() ?? '');
+        }
+
+        this.navigate(action, { target, method: method.toUpperCase(), body: formData });
+    };
+
+    /**
+     * Navigates to URL with AJAX
+     * @static
+     * @async
+     * @param {string} url - URL to navigate to
+     * @param {Object} [options={pushState: true}] - Navigation options
+     * @param {boolean} [options.pushState=true] - Add a history entry
+     * @param {{x: number, y: number}} [options.scroll] - Scroll position to restore instead of the top
+     * @param {string} [options.historyKey] - Key of the history entry being shown (back/forward)
+     * @param {string} [options.target] - Selector of the element to swap (the X-Wisp-Target response header wins)
+     * @param {string} [options.direction='forward'] - Direction exposed to view transitions (forward|back)
+     * @param {string} [options.method='GET'] - HTTP method
+     * @param {FormData} [options.body] - Request body for non-GET navigations
+     * @description
+     * Starting a navigation aborts the one still in flight. Pages prefetched less
+     * than `config.navigationCacheTtl` ago are rendered without a request.
+     * When the server redirects, the final URL is pushed to history. A 422 response
+     * is rendered into the target without adding a history entry.
+     */
+    static async navigate(url, options = { pushState: true }) {
+        const startTime = performance.now();
+
+        if (!this.emit('navigate:before', this._eventDetail(null, null, null, { url, options }))) {
+            return;
+        }
+
+        this.navigationController?.abort();
+        const controller = new AbortController();
+        this.navigationController = controller;
+
+        try {
+            this.showNavigationProgressBar();
+
+            const page = await this._loadPage(url, controller.signal, options);
+            const doc = new DOMParser().parseFromString(page.html, 'text/html');
+            const invalid = page.status === 422;
+            const pushState = options.pushState !== false && !invalid;
+
+            if (page.url) {
+                url = page.url;
+            }
+
+            if (this._assetVersionChanged(doc)) {
+                window.location.href = url;
+                return;
+            }
+
+            await this._loadHeadStylesheets(doc);
+            if (controller.signal.aborted) return;
+
+            if (pushState) {
+                this._saveScrollPosition();
+            }
+            if (!invalid) {
+                this._storeSnapshot();
+            }
+
+            const previousScripts = new Set(document.scripts);
+            let containers = [];
+            await this.transition(() => {
+                containers = this._swapPage(doc, page.target || options.target);
+            }, { direction: options.direction || 'forward' });
+
+            if (this.config.enablePerformanceLogging) {
+                const duration = performance.now() - startTime;
+                console.debug(`Wisp navigate took ${duration.toFixed(2)}ms`);
+            }
+
+            containers.forEach(container => this.bind(container));
+
+            if (!invalid) {
+                window.scrollTo(options.scroll?.x ?? 0, options.scroll?.y ?? 0);
+            }
+            if (pushState) {
+                this.currentHistoryKey = this._createHistoryKey();
+                this.historyIndex += 1;
+                window.history.pushState({
+                    wispKey: this.currentHistoryKey,
+                    wispIndex: this.historyIndex,
+                    scroll: { x: 0, y: 0 }
+                }, '', url);
+            } else if (options.historyKey) {
+                this.currentHistoryKey = options.historyKey;
+            }
+
+            this._mergeHead(doc);
+            this._runScripts(containers, previousScripts);
+
+            this.emit('navigate:after', this._eventDetail(null, null, null, {
+                url,
+                options,
+                duration: performance.now() - startTime
+            }));
+        } catch (err) {
+            if (err.name === 'AbortError') return;
+
+            this.throwWispError(err.message);
+            this.reportError(err, { url });
+            if ((options.method || 'GET') === 'GET') {
+                window.location.href = url; // fallback
+            }
+        }
+        finally {
+            if (this.navigationController === controller) {
+                this.navigationController = null;
+                this.hideNavigationProgressBar();
+            }
+        }
+    }
+
+    /**
+     * Replaces the page content with a parsed document
+     * @private
+     * @static
+     * @param {Document} doc - Parsed page
+     * @param {string|null} [target=null] - Selector of the element to swap
+     * @returns {HTMLElement[]} Elements whose content was replaced
+     * @description
+     * Swaps the target if given, otherwise every `wisp:region` present on both pages,
+     * otherwise `config.navigationTarget` (#app), and falls back to the whole body.
+     * Elements marked `wisp:persist` are carried over to the new content untouched.
+     */
+    static _swapPage(doc, target = null) {
+        const persistent = this._collectPersistent();
+        const containers = [];
+
+        const swap = (current, next) => {
+            if (this.config.morph) {
+                this.morphChildren(current, next);
+            } else {
+                current.innerHTML = next.innerHTML;
+            }
+            containers.push(current);
+        };
+
+        if (target) {
+            const current = document.querySelector(target);
+            const next = doc.querySelector(target);
+            if (current && next) swap(current, next);
+        }
+
+        if (containers.length === 0) {
+            document.querySelectorAll('[wisp\\:region]').forEach(region => {
+                if (region.parentElement?.closest('[wisp\\:region]')) return;
+
+                const next = doc.querySelector(`[wisp\\:region="${region.getAttribute('wisp:region')}"]`);
+                if (next) swap(region, next);
+            });
+        }
+
+        if (containers.length === 0) {
+            const current = document.querySelector(this.config.navigationTarget);
+            const next = doc.querySelector(this.config.navigationTarget);
+            if (current && next) swap(current, next);
+        }
+
+        if (containers.length === 0) {
+            document.body.innerHTML = doc.body.innerHTML;
+            containers.push(document.body);
+        }
+
+        this._restorePersistent(persistent);
+        document.title = doc.title;
+        return containers;
+    }
+
+    /**
+     * Collects the wisp:persist elements of the page
+     * @private
+     * @static
+     * @returns {Map<string, HTMLElement>} Elements keyed by wisp:persist value or id
+     */
+    static _collectPersistent() {
+        const persistent = new Map();
+        document.body.querySelectorAll('[wisp\\:persist]').forEach(el => {
+            const key = el.getAttribute('wisp:persist') || el.id;
+            if (key) persistent.set(key, el);
+        });
+        return persistent;
+    }
+
+    /**
+     * Puts persistent elements back in place of their copies in the new content
+     * @private
+     * @static
+     * @param {Map<string, HTMLElement>} persistent - Elements from _collectPersistent
+     */
+    static _restorePersistent(persistent) {
+        if (persistent.size === 0) return;
+
+        document.body.querySelectorAll('[wisp\\:persist]').forEach(el => {
+            const key = el.getAttribute('wisp:persist') || el.id;
+            const original = persistent.get(key);
+            if (original && original !== el) el.replaceWith(original);
+        });
+    }
+
+    /**
+     * Checks whether the wisp:asset-version meta tag of a page differs from the current one
+     * @private
+     * @static
+     * @param {Document} doc - Parsed page
+     * @returns {boolean} True if a full reload is needed
+     */
+    static _assetVersionChanged(doc) {
+        const selector = 'meta[name="wisp:asset-version"]';
+        const current = document.querySelector(selector)?.content;
+        const next = doc.querySelector(selector)?.content;
+
+        return !!current && !!next && current !== next;
+    }
+
+    /**
+     * Adds the new stylesheets of a page to the head and waits for them to load
+     * @private
+     * @static
+     * @async
+     * @param {Document} doc - Parsed page
+     */
+    static async _loadHeadStylesheets(doc) {
+        const current = new Set(Array.from(document.head.querySelectorAll('link[rel="stylesheet"], style'))
+            .map(el => this._headElementKey(el)));
+        const loading = [];
+
+        doc.head.querySelectorAll('link[rel="stylesheet"], style').forEach(el => {
+            if (current.has(this._headElementKey(el))) return;
+
+            const clone = document.importNode(el, true);
+            this.headElements.add(clone);
+            if (clone.tagName === 'LINK') {
+                loading.push(new Promise(resolve => {
+                    clone.addEventListener('load', resolve, { once: true });
+                    clone.addEventListener('error', resolve, { once: true });
+                }));
+            }
+            document.head.appendChild(clone);
+        });
+
+        await Promise.all(loading);
+    }
+
+    /**
+     * Syncs meta tags, removes stale stylesheets and runs new head scripts
+     * @private
+     * @static
+     * @param {Document} doc - Parsed page
+     * @description
+     * Only stylesheets and meta tags that navigation added, or that are marked with
+     * `wisp:track`, are removed; tags injected at runtime by other scripts are left alone.
+     * `wisp:persist` elements and the csrf-token meta tag are never removed.
+     * Head scripts run once unless marked `wisp:script.reload`.
+     */
+    static _mergeHead(doc) {
+        const nextKeys = new Set(Array.from(doc.head.querySelectorAll('link[rel="stylesheet"], style, meta'))
+            .map(el => this._headElementKey(el)));
+
+        doc.head.querySelectorAll('meta').forEach(el => {
+            const key = this._headElementKey(el);
+            if (!key) return;
+
+            const existing = Array.from(document.head.querySelectorAll('meta')).find(meta => this._headElementKey(meta) === key);
+            if (existing) {
+                this._morphAttributes(existing, el);
+            } else {
+                const clone = document.importNode(el, true);
+                this.headElements.add(clone);
+                document.head.appendChild(clone);
+            }
+        });
+
+        document.head.querySelectorAll('link[rel="stylesheet"], style, meta').forEach(el => {
+            const key = this._headElementKey(el);
+            if (!key || nextKeys.has(key) || el.hasAttribute('wisp:persist')) return;
+            if (!this.headElements.has(el) && !el.hasAttribute('wisp:track')) return;
+            if (el.tagName === 'META' && el.getAttribute('name') === 'csrf-token') return;
+            el.remove();
+        });
+
+        doc.head.querySelectorAll('script').forEach(el => {
+            const key = this._headElementKey(el);
+            const reload = el.hasAttribute('wisp:script.reload');
+
+            if (this._executedScripts().has(key) && !reload) return;
+
+            if (reload) {
+                Array.from(document.head.querySelectorAll('script'))
+                    .filter(script => this._headElementKey(script) === key)
+                    .forEach(script => script.remove());
+            }
+
+            document.head.appendChild(this._activateScript(el));
+        });
+    }
+
+    /**
+     * Runs scripts that navigation inserted into the page
+     * @private
+     * @static
+     * @param {HTMLElement[]} containers - Swapped containers
+     * @param {Set<HTMLScriptElement>} previousScripts - Scripts present before the swap
+     * @description
+     * New inline scripts run every time they are inserted, like on a full page load.
+     * Scripts with a `src` and `wisp:script.once` scripts run only the first time, and
+     * `wisp:script.reload` scripts run again even if morphing kept the element.
+     */
+    static _runScripts(containers, previousScripts) {
+        containers.flatMap(container => Array.from(container.querySelectorAll('script'))).forEach(script => {
+            const isNew = !previousScripts.has(script);
+            if (!isNew && !script.hasAttribute('wisp:script.reload')) return;
+
+            const key = this._headElementKey(script);
+            const runOnce = script.hasAttribute('wisp:script.once') ||
+                (script.hasAttribute('src') && !script.hasAttribute('wisp:script.reload'));
+            if (runOnce && this._executedScripts().has(key)) return;
+
+            script.replaceWith(this._activateScript(script));
+        });
+    }
+
+    /**
+     * Creates an executable copy of a script element
+     * @private
+     * @static
+     * @param {HTMLScriptElement} script - Inert script (e.g. from DOMParser)
+     * @returns {HTMLScriptElement} Script that runs when inserted
+     */
+    static _activateScript(script) {
+        const active = document.createElement('script');
+        Array.from(script.attributes).forEach(({ name, value }) => active.setAttribute(name, value));
+        active.textContent = script.textContent;
+        active.async = false;
+
+        this._executedScripts().add(this._headElementKey(script));
+        return active;
+    }
+
+    /**
+     * Gets the keys of scripts that already ran, seeded with the scripts of the first page
+     * @private
+     * @static
+     * @returns {Set<string>} Script keys
+     */
+    static _executedScripts() {
+        if (!this.executedScripts) {
+            this.executedScripts = new Set(Array.from(document.scripts).map(script => this._headElementKey(script)));
+        }
+        return this.executedScripts;
+    }
+
+    /**
+     * Gets the identity of a head element across pages
+     * @private
+     * @static
+     * @param {HTMLElement} el - Link, style, meta or script element
+     * @returns {string|null} Key, or null for elements that are not merged
+     */
+    static _headElementKey(el) {
+        switch (el.tagName) {
+            case 'LINK':
+                return `link:${el.getAttribute('href')}`;
+            case 'STYLE':
+                return `style:${el.textContent}`;
+            case 'SCRIPT':
+                return `script:${el.getAttribute('src') || el.textContent}`;
+            case 'META': {
+                const name = el.getAttribute('name') || el.getAttribute('property') || el.getAttribute('http-equiv');
+                return name ? `meta:${name}` : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Gets a page from the prefetch cache or the network
+     * @private
+     * @static
+     * @async
+     * @param {string} url - Page URL
+     * @param {AbortSignal} [signal] - Signal that aborts the request
+     * @param {Object} [options={}] - Navigation options (only GET requests use the cache)
+     * @param {string} [options.method='GET'] - HTTP method
+     * @param {FormData} [options.body] - Request body
+     * @returns {Promise<{html: string, target: string|null, url: string|null, status: number}>}
+     * Page HTML, the X-Wisp-Target response header, the final URL after a redirect and the status
+     */
+    static async _loadPage(url, signal, { method = 'GET', body = null } = {}) {
+        if (method === 'GET') {
+            const cached = this._getCachedPage(url);
+            if (cached !== null) return cached;
+
+            const prefetch = this.prefetches.get(this._cacheKey(url));
+            if (prefetch) {
+                const page = await prefetch;
+                if (page !== null) return page;
+            }
+        }
+
+        const response = await fetch(url, {
+            method,
+            body: method === 'GET' ? undefined : body,
+            headers: {
+                'X-Requested-With': 'X-Wisp-Navigate',
+                'Accept': 'text/html'
+            },
+            signal
+        });
+
+        if (!response.ok && response.status !== 422) {
+            this.throwWispError(`Navigation failed: ${response.status}`, true, { status: response.status });
+        }
+
+        if (method !== 'GET') {
+            this.clearPageCache();
+        }
+
+        return {
+            html: await response.text(),
+            target: response.headers.get('X-Wisp-Target'),
+            url: response.redirected ? response.url : null,
+            status: response.status
+        };
+    }
+
+    /**
+     * Fetches a page into the page cache ahead of navigation
+     * @static
+     * @async
+     * @param {string} url - Page URL
+     * @returns {Promise<Object|null>} Page ({ html, target }), or null if prefetching failed
+     */
+    static prefetch(url) {
+        const key = this._cacheKey(url);
+        if (this._getCachedPage(url) !== null) return Promise.resolve(this._getCachedPage(url));
+        if (this.prefetches.has(key)) return this.prefetches.get(key);
+
+        const promise = fetch(url, {
+            headers: {
+                'X-Requested-With': 'X-Wisp-Navigate',
+                'X-Wisp-Prefetch': '1',
+                'Accept': 'text/html'
+            }
+        })
+            .then(async response => response.ok ? {
+                html: await response.text(),
+                target: response.headers.get('X-Wisp-Target')
+            } : null)
+            .then(page => {
+                if (page !== null) this._cachePage(url, page);
+                return page;
+            })
+            .catch(() => null)
+            .finally(() => this.prefetches.delete(key));
+
+        this.prefetches.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Gets a fresh page from the LRU page cache
+     * @private
+     * @static
+     * @param {string} url - Page URL
+     * @returns {Object|null} Cached page ({ html, target }) or null
+     */
+    static _getCachedPage(url) {
+        const key = this._cacheKey(url);
+        const entry = this.pageCache.get(key);
+        if (!entry) return null;
+
+        if (Date.now() - entry.time > this.config.navigationCacheTtl) {
+            this.pageCache.delete(key);
+            return null;
+        }
+
+        this.pageCache.delete(key);
+        this.pageCache.set(key, entry);
+        return { html: entry.html, target: entry.target };
+    }
+
+    /**
+     * Stores a page in the LRU page cache
+     * @private
+     * @static
+     * @param {string} url - Page URL
+     * @param {Object} page - Page ({ html, target })
+     */
+    static _cachePage(url, { html, target }) {
+        if (this.config.navigationCacheSize <= 0) return;
+
+        const key = this._cacheKey(url);
+        this.pageCache.delete(key);
+        this.pageCache.set(key, { html, target, time: Date.now() });
+
+        while (this.pageCache.size > this.config.navigationCacheSize) {
+            this.pageCache.delete(this.pageCache.keys().next().value);
+        }
+    }
+
+    /**
+     * Clears the page cache and history snapshots
+     * @static
+     */
+    static clearPageCache() {
+        this.pageCache.clear();
+        this.pageSnapshots.clear();
+    }
+
+    /**
+     * Normalizes a URL for use as a cache key
+     * @private
+     * @static
+     * @param {string} url - Page URL
+     * @returns {string} Absolute URL without hash
+     */
+    static _cacheKey(url) {
+        const absolute = new URL(url, window.location.href);
+        absolute.hash = '';
+        return absolute.href;
+    }
+
+    /**
+     * Creates a unique key for a history entry
+     * @private
+     * @static
+     * @returns {string} History key
+     */
+    static _createHistoryKey() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Saves the scroll position of the current history entry in history.state
+     * @private
+     * @static
+     */
+    static _saveScrollPosition() {
+        const state = window.history.state || {};
+        window.history.replaceState({
+            ...state,
+            wispKey: state.wispKey || this.currentHistoryKey,
+            scroll: { x: window.scrollX, y: window.scrollY }
+        }, '');
+    }
+
+    /**
+     * Stores a snapshot of the current page for instant back/forward
+     * @private
+     * @static
+     */
+    static _storeSnapshot() {
+        if (!this.currentHistoryKey || this.config.navigationCacheSize <= 0) return;
+
+        this.pageSnapshots.delete(this.currentHistoryKey);
+        this.pageSnapshots.set(this.currentHistoryKey, document.documentElement.outerHTML);
+
+        while (this.pageSnapshots.size > this.config.navigationCacheSize) {
+            this.pageSnapshots.delete(this.pageSnapshots.keys().next().value);
+        }
+    }
+
+    /**
+     * Shows the page of a history entry after back/forward
+     * @private
+     * @static
+     * @param {Object|null} state - history.state of the entry
+     */
+    static async _restoreHistoryEntry(state) {
+        const url = window.location.pathname + window.location.search;
+        const key = state?.wispKey;
+        const snapshot = key ? this.pageSnapshots.get(key) : null;
+        const index = state?.wispIndex ?? 0;
+        const direction = index < this.historyIndex ? 'back' : 'forward';
+        this.historyIndex = index;
+
+        if (!snapshot) {
+            this.navigate(url, { pushState: false, scroll: state?.scroll, historyKey: key, direction });
+            return;
+        }
+
+        const startTime = performance.now();
+        const options = { pushState: false, scroll: state.scroll, historyKey: key, direction };
+        if (!this.emit('navigate:before', this._eventDetail(null, null, null, { url, options }))) {
+            return;
+        }
+
+        this.navigationController?.abort();
+        this._storeSnapshot();
+        this.currentHistoryKey = key;
+        let containers = [];
+        await this.transition(() => {
+            containers = this._swapPage(new DOMParser().parseFromString(snapshot, 'text/html'));
+        }, { direction });
+
+        containers.forEach(container => this.bind(container));
+        window.scrollTo(state.scroll?.x ?? 0, state.scroll?.y ?? 0);
+
+        this.emit('navigate:after', this._eventDetail(null, null, null, {
+            url,
+            options,
+            duration: performance.now() - startTime
+        }));
+    }
+
+    /**
+     * Shows navigation progress bar
+     * @static
+     */
+    static showNavigationProgressBar() {
+        if (!this.config.navigationProgressBar) return;
+        this.injectNavigationProgressBar();
+        const bar = document.getElementById('wisp-progress-bar');
+        if (!bar) return;
+        bar.style.opacity = '1';
+        bar.style.width = '0';
+        setTimeout(() => { bar.style.width = '80%'; }, 10);
+    }
+
+    /**
+     * Hides navigation progress bar
+     * @static
+     */
+    static hideNavigationProgressBar() {
+        if (!this.config.navigationProgressBar) return;
+        const bar = document.getElementById('wisp-progress-bar');
+        if (!bar) return;
+        bar.style.width = '100%';
+        setTimeout(() => {
+            bar.style.opacity = '0';
+            bar.style.width = '0';
+        }, 400);
+    }
+
+    /**
+     * Injects progress bar into DOM
+     * @static
+     */
+    static injectNavigationProgressBar() {
+        if (document.getElementById('wisp-progress-bar')) return;
+        const bar = document.createElement('div');
+        bar.id = 'wisp-progress-bar';
+        const color = this.config.navigationProgressBarColor || '#29d';
+        const height = this.config.navigationProgressBarHeight || '3px';
+        bar.style.cssText = `
+            position:fixed;top:0;left:0;height:${height};width:0;
+            background:${color};z-index:99999;transition:width 0.2s,opacity 0.4s;
+            opacity:0;
+        `;
+        document.body.appendChild(bar);
+    }
+
+    /**
+     * Debounces function execution
+     * @static
+     * @param {Function} fn - Function to debounce
+     * @param {number} [delay=config.defaultDebounce] - Debounce delay
+     * @returns {Function} Debounced function
+     */
+    static debounce(fn, delay = this.config.defaultDebounce) {
+        let timeoutId;
+        return (...args) => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => fn(...args), delay);
+        };
+    }
+
+    /**
+     * Throttles function execution
+     * @static
+     * @param {Function} fn - Function to throttle
+     * @param {number} [wait=config.defaultDebounce] - Minimum time between calls
+     * @returns {Function} Throttled function that runs at most once per `wait` ms
+     */
+    static throttle(fn, wait = this.config.defaultDebounce) {
+        let last = 0;
+        return (...args) => {
+            const now = Date.now();
+            if (now - last < wait) return;
+            last = now;
+            fn(...args);
+        };
+    }
+
+    /**
+     * Debounces with quiet period
+     * @static
+     * @param {Function} fn - Function to debounce
+     * @param {number} [quietPeriod=config.quietDebounce] - Quiet period
+     * @returns {Function} Debounced function
+     */
+    static debounceQuiet(fn, quietPeriod = this.config.quietDebounce) {
+        let timeoutId;
+        let lastKeystroke = 0;
+
+        return (...args) => {
+            const now = Date.now();
+            lastKeystroke = now;
+
+            clearTimeout(timeoutId);
+
+            timeoutId = setTimeout(() => {
+                if (now === lastKeystroke) {
+                    fn(...args);
+                }
+            }, quietPeriod);
+        };
+    }
+
+    /**
+     * Dispatches component update event
+     * @static
+     * @param {string} component - Component name
+     * @param {Object} data - Updated data
+     * @param {HTMLElement|null} [el=null] - Updated component element
+     * @param {string|null} [method=null] - Method that caused the update
+     */
+    static dispatchUpdate(component, data, el = null, method = null) {
+        this.emit('update', this._eventDetail(el, component, method, { data }));
+    }
+
+    /**
+     * Registers a listener for a Wisp event
+     * @static
+     * @param {string} event - Event name without the `wisp:` prefix (e.g. 'update', 'request:before')
+     * @param {Function} handler - Listener receiving the CustomEvent
+     * @returns {Function} The handler, for passing to `off`
+     */
+    static on(event, handler) {
+        document.addEventListener(`wisp:${event}`, handler);
+        return handler;
+    }
+
+    /**
+     * Removes a listener registered with `on` or `once`
+     * @static
+     * @param {string} event - Event name without the `wisp:` prefix
+     * @param {Function} handler - Listener to remove
+     */
+    static off(event, handler) {
+        document.removeEventListener(`wisp:${event}`, handler);
+    }
+
+    /**
+     * Registers a listener that runs only for the next occurrence of an event
+     * @static
+     * @param {string} event - Event name without the `wisp:` prefix
+     * @param {Function} handler - Listener receiving the CustomEvent
+     * @returns {Function} The handler, for passing to `off`
+     */
+    static once(event, handler) {
+        document.addEventListener(`wisp:${event}`, handler, { once: true });
+        return handler;
+    }
+
+    /**
+     * Dispatches a cancellable Wisp event on the document
+     * @static
+     * @param {string} event - Event name without the `wisp:` prefix
+     * @param {Object} [detail={}] - Event detail; listeners may mutate it
+     * @returns {boolean} False if a listener called `preventDefault()`
+     */
+    static emit(event, detail = {}) {
+        return document.dispatchEvent(new CustomEvent(`wisp:${event}`, {
+            detail,
+            cancelable: true
+        }));
+    }
+
+    /**
+     * Builds the common detail object for lifecycle events
+     * @private
+     * @static
+     * @param {HTMLElement|null} el - Component element
+     * @param {string|null} component - Component name
+     * @param {string|null} method - Method name
+     * @param {Object} [extra={}] - Event specific fields
+     * @returns {Object} Event detail
+     */
+    static _eventDetail(el, component, method, extra = {}) {
+        return {
+            el: el || null,
+            id: el?.getAttribute('wisp:id') ?? null,
+            component: component ?? el?.getAttribute('wisp:component') ?? null,
+            method,
+            timestamp: performance.now(),
+            ...extra
+        };
+    }
+
+    /**
+     * Handles click events
+     * @static
+     * @param {Event} e - Click event
+     * @param {HTMLElement} [el=e.currentTarget] - Element with wisp:click
+     */
+    static handleClick = (e, el = e.currentTarget) => {
+        e.preventDefault();
+        // Failed calls are reported (error event, reportError) by _executeCall
+        this._callAction(el, el.getAttribute('wisp:click'), e).catch(() => {});
+    };
+
+    /**
+     * Handles form submissions
+     * @static
+     * @param {Event} e - Submit event
+     * @param {HTMLFormElement} [form=e.currentTarget] - Form with wisp:submit
+     * @param {string} [method] - Method to call (defaults to the wisp:submit value)
+     */
+    static handleSubmit = async (e, form = e.currentTarget, method = form.getAttribute('wisp:submit')) => {
+        e.preventDefault();
+        const component = this.closestComponent(form);
+        if (component) {
+            if (!this.validateForm(form)) return;
+
+            const action = this._parseActionFor(form, method, e);
+            if (!action) return;
+
+            const confirmation = await this._confirmAction(form);
+            if (!confirmation.confirmed) return;
+
+            try {
+                const payload = await this._formPayload(form);
+                if (action.params) payload.params = action.params;
+                if (confirmation.value !== undefined) payload.confirmation = confirmation.value;
+                this.call(component, action.method, payload, form, { sendDeferred: true }).catch(() => {});
+            } catch (error) {
+                this._handleUploadError(error, form);
+            }
+        }
+    };
+
+    /**
+     * Parses an action expression such as `remove(42, 'draft')` into a method and its arguments
+     * @static
+     * @param {string} expression - Method name, optionally followed by an argument list
+     * @param {Object} [scope={}] - Values available to the arguments, e.g. { $el, $event, $data }
+     * @returns {{method: string, params: Array|null}} Method and evaluated arguments (null without parentheses)
+     * @throws {WispError} If the expression or one of its arguments is invalid
+     * @description
+     * Arguments are evaluated with the expression engine (see `evaluate`), never with eval.
+     * @example
+     * Wisp.parseAction("remove(42, 'draft')"); // { method: 'remove', params: [42, 'draft'] }
+     */
+    static parseAction(expression, scope = {}) {
+        const match = String(expression ?? '').trim().match(/^([A-Za-z_$][\w$.:-]*)\s*(?:\(([\s\S]*)\))?$/);
+        if (!match) {
+            this.throwWispError(`Invalid action "${expression}"`, true);
+        }
+
+        const [, method, args] = match;
+        return {
+            method,
+            params: args === undefined ? null : this.evaluate(`[${args}]`, scope)
+        };
+    }
+
+    /**
+     * Parses the action of an element with $el, $event and $data in scope
+     * @private
+     * @static
+     * @param {HTMLElement} el - Element with the action attribute
+     * @param {string} expression - Action expression
+     * @param {Event|null} [e=null] - Triggering event
+     * @returns {{method: string, params: Array|null}|null} Parsed action, or null if it is invalid
+     */
+    static _parseActionFor(el, expression, e = null) {
+        if (!expression) return null;
+
+        const componentEl = el.closest('[wisp\\:component]');
+        const entry = this.getComponent(componentEl?.getAttribute('wisp:id'));
+
+        try {
+            return this.parseAction(expression, { $el: el, $event: e, $data: entry?.data ?? {} });
+        } catch (error) {
+            console.error(`Wisp: invalid action "${expression}"`, el, error);
+            return null;
+        }
+    }
+
+    /**
+     * Calls the action of an element after its wisp:confirm guard, sending its arguments as `payload.params`
+     * @private
+     * @static
+     * @async
+     * @param {HTMLElement} el - Element that triggered the action
+     * @param {string} expression - Action expression, e.g. `remove(42)`
+     * @param {Event|null} [e=null] - Triggering event
+     * @returns {Promise<Object|undefined>} Response data, or undefined if nothing was called
+     */
+    static async _callAction(el, expression, e = null) {
+        const component = this.closestComponent(el);
+        const action = component && this._parseActionFor(el, expression, e);
+        if (!action) return undefined;
+
+        const confirmation = await this._confirmAction(el);
+        if (!confirmation.confirmed) return undefined;
+
+        const payload = action.params ? { params: action.params } : {};
+        if (confirmation.value !== undefined) payload.confirmation = confirmation.value;
+        return this.call(component, action.method, payload, el, { sendDeferred: true });
+    }
+
+    /**
+     * Builds the payload of a form, uploading selected files first
+     * @private
+     * @static
+     * @async
+     * @param {HTMLFormElement} form - Form to serialize
+     * @returns {Promise<Object>} Payload with upload references in place of files
+     */
+    static async _formPayload(form) {
+        const payload = {};
+        const files = new Map();
+
+        for (const [key, value] of new FormData(form).entries()) {
+            if (value instanceof File) {
+                if (!files.has(key)) files.set(key, []);
+                if (value.name || value.size > 0) files.get(key).push(value);
+            } else {
+                payload[key] = value;
+            }
+        }
+
+        const componentEl = form.closest('[wisp\\:component]');
+        for (const [key, list] of files) {
+            const multiple = form.querySelector(`input[type="file"][name="${key}"]`)?.multiple;
+            const refs = list.length > 0 ? await this._uploadFiles(list, componentEl, key, form) : [];
+            payload[key] = multiple ? refs : refs[0] ?? null;
+        }
+
+        return payload;
+    }
+
+    /**
+     * Uploads the files of a wisp:model file input and updates the model with the references
+     * @static
+     * @async
+     * @param {HTMLInputElement} el - File input with wisp:model
+     */
+    static async uploadModel(el) {
+        const componentEl = el.closest('[wisp\\:component]');
+        const component = this.closestComponent(el);
+        const field = el.getAttribute('wisp:model');
+
+        if (!component || el.files.length === 0) return;
+        if (el.hasAttribute('wisp:rules') && this.validate(el).length > 0) return;
+
+        try {
+            const refs = await this._uploadFiles(Array.from(el.files), componentEl, field, el);
+            const detail = this._eventDetail(componentEl, component, '__updateModel', {
+                field,
+                value: el.multiple ? refs : refs[0],
+                trigger: el
+            });
+            if (!this.emit('model:change', detail)) return;
+            // A failed model update is reported by _executeCall, not as an upload error
+            this.call(component, '__updateModel', { [field]: detail.value }, el).catch(() => {});
+        } catch (error) {
+            this._handleUploadError(error, el);
+        }
+    }
+
+    /**
+     * Uploads a single file and returns its temporary reference
+     * @static
+     * @async
+     * @param {File} file - File to upload
+     * @param {Object} [options={}] - Upload options
+     * @param {HTMLElement|null} [options.componentEl=null] - Component the file belongs to
+     * @param {string|null} [options.field=null] - Field name
+     * @param {Function|null} [options.onProgress=null] - Called with (loadedBytes, totalBytes)
+     * @returns {Promise<string>} Upload reference returned by the server as `{ "ref": "..." }`
+     * @description
+     * Files larger than `config.uploadChunkSize` are sent in sequential chunks that share an
+     * `uploadId`; the server returns the reference with the last chunk.
+     */
+    static async upload(file, { componentEl = null, field = null, onProgress = null } = {}) {
+        const chunkSize = this.config.uploadChunkSize;
+        const chunkCount = chunkSize > 0 ? Math.max(1, Math.ceil(file.size / chunkSize)) : 1;
+        const uploadId = window.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        const componentId = componentEl?.getAttribute('wisp:id') ?? null;
+        let result = null;
+
+        for (let index = 0; index < chunkCount; index++) {
+            const offset = index * (chunkSize || 0);
+            const chunk = chunkCount > 1 ? file.slice(offset, offset + chunkSize) : file;
+
+            const formData = new FormData();
+            formData.append('file', chunk, file.name);
+            formData.append('component', componentEl?.getAttribute('wisp:component') ?? '');
+            formData.append('componentId', componentId ?? '');
+            formData.append('field', field ?? '');
+            formData.append('_token', this._csrfToken() ?? '');
+
+            if (chunkCount > 1) {
+                formData.append('uploadId', uploadId);
+                formData.append('chunkIndex', index);
+                formData.append('chunkCount', chunkCount);
+                formData.append('fileName', file.name);
+                formData.append('fileSize', file.size);
+            }
+
+            result = await this._sendUpload(formData, componentId, loaded => {
+                onProgress?.(Math.min(offset + loaded, file.size), file.size);
+            });
+        }
 
-        const componentEl = triggerEl.closest('[wisp\\:component]');
-        if (!componentEl) return;
+        if (!result?.ref) {
+            this.throwWispError('Invalid upload response from server', true);
+        }
 
-        const actionId = params ? `${method}(${JSON.stringify(params)})` : method;
+        return result.ref;
+    }
 
-        const loadingElements = componentEl.querySelectorAll(`
-            [wisp\\:loading],
-            [wisp\\:loading\\.class],
-            [wisp\\:loading\\.attr],
-            [wisp\\:loading\\.remove],
-            [wisp\\:loading\\.flex],
-            [wisp\\:loading\\.inline-flex],
-            [wisp\\:loading\\.block],
-            [wisp\\:loading\\.grid],
-            [wisp\\:loading\\.table],
-            [wisp\\:loading\\.spinner]
-        `);
+    /**
+     * Uploads files one after another while driving progress and loading states
+     * @private
+     * @static
+     * @async
+     * @param {File[]} files - Files to upload
+     * @param {HTMLElement|null} componentEl - Component the files belong to
+     * @param {string} field - Field name
+     * @param {HTMLElement} triggerEl - Element whose loading state is set
+     * @returns {Promise<string[]>} Upload references in file order
+     */
+    static async _uploadFiles(files, componentEl, field, triggerEl) {
+        const total = files.reduce((sum, file) => sum + file.size, 0) || 1;
+        const refs = [];
+        let uploaded = 0;
 
-        loadingElements.forEach(el => {
-            const target = el.getAttribute('wisp:loading.target');
-            if (target && !this.matchesTarget(target, actionId, method)) {
-                return;
-            }
+        this.setLoadingState(triggerEl, '__upload', true, { field });
+        this._setUploadProgress(componentEl, field, 0);
 
-            const exceptTarget = el.getAttribute('wisp:loading.target.except');
-            if (exceptTarget && this.matchesTarget(exceptTarget, actionId, method)) {
-                return;
+        try {
+            for (const file of files) {
+                refs.push(await this.upload(file, {
+                    componentEl,
+                    field,
+                    onProgress: loaded => {
+                        const percent = Math.round(((uploaded + loaded) / total) * 100);
+                        this._setUploadProgress(componentEl, field, percent);
+                        this.emit('upload:progress', this._eventDetail(componentEl, null, '__upload', {
+                            field,
+                            file,
+                            loaded: uploaded + loaded,
+                            total,
+                            percent
+                        }));
+                    }
+                }));
+                uploaded += file.size;
             }
+        } finally {
+            this.setLoadingState(triggerEl, '__upload', false, { field });
+        }
 
-            this.applyLoadingState(el, isLoading);
-        });
+        this._setUploadProgress(componentEl, field, 100);
+        return refs;
     }
 
     /**
-     * Applies loading state to individual element
+     * Sends one upload request with XMLHttpRequest to get progress events
+     * @private
      * @static
-     * @param {HTMLElement} el - Element to modify
-     * @param {boolean} isLoading - Loading state
+     * @async
+     * @param {FormData} formData - Multipart body
+     * @param {string|null} componentId - Component ID used for cancellation
+     * @param {Function} onProgress - Called with the uploaded bytes of this request
+     * @returns {Promise<Object>} Parsed JSON response
      */
-   static applyLoadingState(el, isLoading) {
-        if (!el._loadingState) {
-            el._loadingState = {
-                display: el.style.display,
-                classes: [...el.classList],
-                attributes: {},
-                wasFocused: document.activeElement === el || el._pendingFocus,
-                selectionStart: el.selectionStart,
-                selectionEnd: el.selectionEnd
-            };
-        }
+    static async _sendUpload(formData, componentId, onProgress) {
+        const headers = await this._resolveHeaders({ method: '__upload', componentId });
 
-        el.setAttribute('aria-busy', isLoading);
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            const key = componentId ?? '';
 
-        if (el.hasAttribute('wisp:loading.spinner')) {
-            if (isLoading) {
-                const spinner = document.createElement('div');
-                spinner.className = 'wisp-spinner';
-                spinner.innerHTML = `
-                    <svg viewBox="0 0 50 50">
-                        <circle cx="25" cy="25" r="20" fill="none" stroke="currentColor" stroke-width="5"></circle>
-                    </svg>
-                `;
-                el._loadingSpinner = spinner;
-                el.appendChild(spinner);
-            } else if (el._loadingSpinner) {
-                el._loadingSpinner.remove();
-                delete el._loadingSpinner;
-            }
-        }
+            if (!this.uploads.has(key)) this.uploads.set(key, new Set());
+            this.uploads.get(key).add(xhr);
 
-        if (el.hasAttribute('wisp:loading') && !el.hasAttribute('wisp:loading.remove')) {
-            const displayType = this.getDisplayType(el);
-            el.style.display = isLoading ? displayType : 'none';
-        }
+            const done = () => {
+                this.uploads.get(key)?.delete(xhr);
+                if (this.uploads.get(key)?.size === 0) this.uploads.delete(key);
+            };
 
-        if (el.hasAttribute('wisp:loading.remove')) {
-            el.style.display = isLoading ? 'none' : '';
-        }
+            xhr.open('POST', this.config.uploadEndpoint || this.config.endpoint || window.location.href);
+            xhr.withCredentials = this.config.credentials === 'include';
+            xhr.setRequestHeader('Accept', 'application/json');
+            xhr.setRequestHeader('X-Requested-With', 'X-Wisp-Upload');
+            Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
 
-        const classModifier = el.getAttribute('wisp:loading.class');
-        if (classModifier) {
-            const types = classModifier.split(';');
-            types.forEach((type) => {
-                const [action, ...classes] = type.trim().split(' ');
-                const classList = classes.join(' ');
-                el.classList.toggle(classList, action === 'remove' ? !isLoading : isLoading);
+            xhr.upload.addEventListener('progress', e => {
+                if (e.lengthComputable) onProgress(e.loaded);
             });
-        }
 
-        const attrModifier = el.getAttribute('wisp:loading.attr');
-        if (attrModifier) {
-            attrModifier.split(',').forEach(pair => {
-                const [key, value] = pair.split('=').map(s => s.trim());
-                if (key) {
-                    if (isLoading) {
-                        el._loadingState.attributes[key] = el.hasAttribute(key);
-                        el.setAttribute(key, value || '');
-                    } else {
-                        el.removeAttribute(key);
+            xhr.addEventListener('load', () => {
+                done();
+                let data = null;
+                try {
+                    data = JSON.parse(xhr.responseText);
+                } catch {
+                    reject(new WispError('Upload response was not JSON'));
+                    return;
+                }
 
-                        if (el._loadingState.attributes[key]) {
-                            setTimeout(() => {
-                                el.setAttribute(key, '');
-                            }, 0);
-                        }
-                    }
+                if (xhr.status < 200 || xhr.status >= 300 || data?.error) {
+                    const error = new WispError(data?.message || `Upload failed: ${xhr.status}`);
+                    error.status = xhr.status;
+                    reject(error);
+                    return;
                 }
+
+                resolve(data);
             });
-        }
 
-        if (!isLoading && el._loadingState.wasFocused) {
-            setTimeout(() => {
-                if (el.disabled) {
-                    requestAnimationFrame(() => {
-                        if (!el.disabled) {
-                            el.focus();
-                            if (
-                                typeof el._loadingState.selectionStart === 'number' &&
-                                typeof el._loadingState.selectionEnd === 'number' &&
-                                'setSelectionRange' in el
-                            ) {
-                                el.setSelectionRange(el._loadingState.selectionStart, el._loadingState.selectionEnd);
-                            }
-                        }
-                        delete el._pendingFocus;
-                        delete el._selectionStart;
-                        delete el._selectionEnd;
-                    });
-                } else {
-                    el.focus();
-                    if (
-                        typeof el._loadingState.selectionStart === 'number' &&
-                        typeof el._loadingState.selectionEnd === 'number' &&
-                        'setSelectionRange' in el
-                    ) {
-                        el.setSelectionRange(el._loadingState.selectionStart, el._loadingState.selectionEnd);
-                    }
-                    delete el._pendingFocus;
-                    delete el._selectionStart;
-                    delete el._selectionEnd;
-                }
-            }, 0);
-        }
+            xhr.addEventListener('error', () => {
+                done();
+                reject(new WispError('Network error occurred during upload.'));
+            });
 
-        if (!isLoading) {
-            setTimeout(() => {
-                el.removeAttribute('aria-busy');
-                delete el._loadingState;
-            }, 150);
-        }
+            xhr.addEventListener('abort', () => {
+                done();
+                reject(new DOMException('Upload cancelled', 'AbortError'));
+            });
+
+            xhr.send(formData);
+        });
     }
 
     /**
-     * Initializes loading states for elements
+     * Updates wisp:loading.progress elements of a component
+     * @private
      * @static
+     * @param {HTMLElement|null} componentEl - Component element
+     * @param {string} field - Field being uploaded
+     * @param {number} percent - Progress from 0 to 100
      */
-    static initLoadingStates() {
-        document.querySelectorAll('[wisp\\:loading]:not([wisp\\:loading\\.remove])').forEach(el => {
-            el.style.display = 'none';
+    static _setUploadProgress(componentEl, field, percent) {
+        if (!componentEl) return;
+
+        componentEl.querySelectorAll('[wisp\\:loading\\.progress]').forEach(el => {
+            const target = el.getAttribute('wisp:loading.progress');
+            if (target && target !== field) return;
+
+            if (el.tagName === 'PROGRESS' || el.tagName === 'METER') {
+                el.max = 100;
+                el.value = percent;
+            }
+
+            el.setAttribute('wisp:progress', percent);
+            el.style.setProperty('--wisp-progress', `${percent}%`);
         });
     }
 
     /**
-     * Gets display type for loading state
+     * Reports a failed or cancelled upload
+     * @private
      * @static
-     * @param {HTMLElement} el - Element to check
-     * @returns {string} CSS display value
+     * @param {Error} error - Upload error
+     * @param {HTMLElement} el - Element that started the upload
      */
-   static getDisplayType(el) {
-        if (el.hasAttribute('wisp:loading.flex')) return 'flex';
-        if (el.hasAttribute('wisp:loading.inline-flex')) return 'inline-flex';
-        if (el.hasAttribute('wisp:loading.block')) return 'block';
-        if (el.hasAttribute('wisp:loading.grid')) return 'grid';
-        if (el.hasAttribute('wisp:loading.table')) return 'table';
-        return 'inline-block';
+    static _handleUploadError(error, el) {
+        const componentEl = el.closest('[wisp\\:component]');
+
+        if (error.name === 'AbortError') {
+            this.emit('upload:cancel', this._eventDetail(componentEl, null, '__upload', { trigger: el }));
+            return;
+        }
+
+        this.throwWispError(error.message);
+        this.reportError(error, {
+            component: componentEl?.getAttribute('wisp:component'),
+            method: '__upload',
+            id: componentEl?.getAttribute('wisp:id'),
+            status: error.status
+        });
     }
 
+
     /**
-     * Checks if target matches action
+     * Built-in validation rules for wisp:rules
      * @static
-     * @param {string} target - Target pattern
-     * @param {string} actionId - Full action ID
-     * @param {string} method - Method name
-     * @returns {boolean} True if matches
+     * @type {Object<string, {validate: Function, message: string}>}
+     * @description
+     * `validate(value, params, el)` returns true when the value passes. Empty values
+     * pass every rule except `required`. `:param` in a message is replaced with the
+     * rule parameters; `numericMessage` is used for number fields.
      */
-    static matchesTarget(target, actionId, method) {
-        return target.split(',').map(t => t.trim()).some(t => {
-            if (t === actionId || t === method) return true;
-            if (t.includes('(') && t.startsWith(method)) {
-                const targetParams = t.match(/\((.*)\)/)?.[1];
-                const actionParams = actionId.match(/\((.*)\)/)?.[1];
-                return targetParams === actionParams;
-            }
-            return false;
-        });
-    }
+    static validationRules = {
+        required: {
+            validate: (value, params, el) => el.type === 'checkbox' ? el.checked : String(value).trim() !== '',
+            message: 'This field is required.'
+        },
+        email: {
+            validate: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+            message: 'Please enter a valid email address.'
+        },
+        min: {
+            validate: (value, [min], el) => this._isNumericField(el) ? Number(value) >= Number(min) : value.length >= Number(min),
+            message: 'Must be at least :param characters.',
+            numericMessage: 'Must be at least :param.'
+        },
+        max: {
+            validate: (value, [max], el) => this._isNumericField(el) ? Number(value) <= Number(max) : value.length <= Number(max),
+            message: 'Must be at most :param characters.',
+            numericMessage: 'Must be at most :param.'
+        },
+        numeric: {
+            validate: value => value.trim() !== '' && !isNaN(Number(value)),
+            message: 'Must be a number.'
+        },
+        integer: {
+            validate: value => /^-?\d+$/.test(value.trim()),
+            message: 'Must be a whole number.'
+        },
+        url: {
+            validate: value => {
+                try {
+                    new URL(value);
+                    return true;
+                } catch {
+                    return false;
+                }
+            },
+            message: 'Please enter a valid URL.'
+        },
+        in: {
+            validate: (value, params) => params.includes(value),
+            message: 'Please choose one of: :param.'
+        },
+        same: {
+            validate: (value, [field], el) => {
+                const scope = el.closest('form, [wisp\\:component]');
+                const other = scope?.querySelector(`[wisp\\:model="${field}"], [name="${field}"]`);
+                return !other || other.value === value;
+            },
+            message: 'Must match :param.'
+        }
+    };
 
     /**
-     * Sets up navigation listener
+     * Registers a custom validation rule
      * @static
+     * @param {string} name - Rule name used in wisp:rules
+     * @param {Function} validate - (value, params, el) => boolean
+     * @param {string} message - Error message, `:param` is replaced with the parameters
      */
-    static setupNavigationListener() {
-        window.addEventListener('popstate', () => {
-            this.navigate(window.location.pathname + window.location.search, { pushState: false });
-        });
+    static addRule(name, validate, message) {
+        this.validationRules[name] = { validate, message };
     }
 
     /**
-     * Binds all Wisp event handlers
+     * Validates a field against its wisp:rules and renders the result
      * @static
+     * @param {HTMLElement} el - Input, select or textarea with wisp:rules
+     * @returns {string[]} Error messages, empty when valid
+     * @description
+     * An invalid value is never sent, so it is remembered and kept (with its errors)
+     * when the server re-renders the component.
      */
-    static bind() {
-        document.querySelectorAll('[wisp\\:click]').forEach(el => {
-            const method = el.getAttribute('wisp:click');
-            const component = this.closestComponent(el);
-            if (component) {
-                el.removeEventListener('click', this.handleClick);
-                el.addEventListener('click', this.handleClick);
+    static validate(el) {
+        const rules = (el.getAttribute('wisp:rules') || '').split('|').map(rule => rule.trim()).filter(Boolean);
+        const value = el.type === 'checkbox' ? (el.checked ? el.value : '') : (el.value ?? '');
+        const messages = [];
+
+        rules.forEach(rule => {
+            const separator = rule.indexOf(':');
+            const name = separator === -1 ? rule : rule.slice(0, separator);
+            const params = separator === -1 ? [] : rule.slice(separator + 1).split(',').map(param => param.trim());
+            const definition = this.validationRules[name];
+
+            if (!definition) {
+                console.warn(`Wisp: unknown validation rule "${name}"`);
+                return;
             }
-        });
 
-        document.querySelectorAll('[wisp\\:submit]').forEach(el => {
-            const method = el.getAttribute('wisp:submit');
-            const component = this.closestComponent(el);
-            if (component) {
-                el.removeEventListener('submit', this.handleSubmit);
-                el.addEventListener('submit', this.handleSubmit);
+            if (name !== 'required' && String(value).trim() === '') return;
+
+            if (!definition.validate(value, params, el)) {
+                const numeric = !!definition.numericMessage && this._isNumericField(el);
+                const message = numeric ?
+                    this.config.validationMessages[`${name}.numeric`] ?? definition.numericMessage :
+                    this.config.validationMessages[name] ?? definition.message;
+                messages.push(message.replace(':param', params.join(', ')));
             }
         });
 
-        this.bindPolling();
-        this.initLoadingStates();
-        this.bindModelBindings();
-        this.bindNavigation();
+        const componentEl = el.closest('[wisp\\:component]');
+        const field = this._fieldName(el);
+        if (componentEl && field) {
+            const binding = this._binding(componentEl);
+            binding.serverErrors?.delete(field);
+            if (messages.length > 0) {
+                (binding.clientErrors ??= new Map()).set(field, el.type === 'checkbox' ? el.checked : el.value);
+            } else {
+                binding.clientErrors?.delete(field);
+            }
+            this.setFieldErrors(componentEl, field, messages);
+        }
+
+        return messages;
     }
 
+    /**
+     * Validates every field with wisp:rules inside a form
+     * @static
+     * @param {HTMLFormElement} form - Form to validate
+     * @returns {boolean} True if all fields are valid
+     */
+    static validateForm(form) {
+        const invalid = Array.from(form.querySelectorAll('[wisp\\:rules]'))
+            .filter(el => this.validate(el).length > 0);
+
+        invalid[0]?.focus();
+        return invalid.length === 0;
+    }
 
     /**
-     * Sets up MutationObserver for dynamic content
+     * Renders field errors into wisp:error placeholders of a component
      * @static
+     * @param {HTMLElement} componentEl - Component element
+     * @param {Object<string, string|string[]>} errors - Messages keyed by field name
+     * @description
+     * Fields that had server errors but are missing from `errors` are cleared.
+     * Errors from client-side validation (wisp:rules) are left alone.
      */
-    static setupObserver() {
-        if (this.observer) return;
+    static renderErrors(componentEl, errors) {
+        const binding = this._binding(componentEl);
+        const fields = new Set([...(binding.serverErrors ?? []), ...Object.keys(errors)]);
+        binding.serverErrors = new Set();
 
-        this.observer = new MutationObserver(mutations => {
-            if (!mutations.some(m => m.addedNodes.length > 0)) return;
-            this.bind();
+        fields.forEach(field => {
+            const value = errors[field] ?? [];
+            const messages = Array.isArray(value) ? value : [value];
+            if (messages.length > 0) binding.serverErrors.add(field);
+            this.setFieldErrors(componentEl, field, messages);
         });
+    }
 
-        this.observer.observe(document.body, {
-            childList: true,
-            subtree: true
+    /**
+     * Shows or clears the errors of a single field
+     * @static
+     * @param {HTMLElement} componentEl - Component element
+     * @param {string} field - Field name (wisp:model or name)
+     * @param {string[]} messages - Error messages, empty to clear
+     */
+    static setFieldErrors(componentEl, field, messages) {
+        const placeholder = componentEl.querySelector(`[wisp\\:error="${field}"]`);
+        const inputs = componentEl.querySelectorAll(`[wisp\\:model="${field}"], [name="${field}"]`);
+        const invalid = messages.length > 0;
+
+        if (placeholder) {
+            placeholder.textContent = messages.join(' ');
+            if (!placeholder.id) {
+                placeholder.id = `wisp-error-${componentEl.getAttribute('wisp:id') || 'component'}-${field}`;
+            }
+        }
+
+        inputs.forEach(input => {
+            const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+            const placeholderIndex = placeholder ? describedBy.indexOf(placeholder.id) : -1;
+
+            if (invalid) {
+                input.setAttribute('aria-invalid', 'true');
+                if (placeholder && placeholderIndex === -1) describedBy.push(placeholder.id);
+            } else {
+                input.removeAttribute('aria-invalid');
+                if (placeholderIndex !== -1) describedBy.splice(placeholderIndex, 1);
+            }
+
+            if (describedBy.length > 0) {
+                input.setAttribute('aria-describedby', describedBy.join(' '));
+            } else {
+                input.removeAttribute('aria-describedby');
+            }
         });
     }
 
     /**
-     * Binds model data to form elements
+     * Gets the field name of a form control
+     * @private
      * @static
+     * @param {HTMLElement} el - Form control
+     * @returns {string|null} wisp:model value or name attribute
      */
-    static bindModelBindings() {
-        document.querySelectorAll('[wisp\\:model]').forEach(el => {
-            const component = this.closestComponent(el);
-            const modelName = el.getAttribute('wisp:model');
-
-            if (!component || !modelName) return;
+    static _fieldName(el) {
+        return el.getAttribute('wisp:model') || el.getAttribute('name') || null;
+    }
 
-            const quietMode = el.hasAttribute('wisp:model.quiet');
-            const delay = el.getAttribute('wisp:model.delay') ||
-                         el.getAttribute('wisp:delay') ||
-                         (quietMode ? this.config.quietDebounce :
-                          el.type === 'text' || el.type === 'textarea' ? this.config.defaultDebounce : 0);
+    /**
+     * Checks whether min/max rules compare numbers instead of lengths
+     * @private
+     * @static
+     * @param {HTMLElement} el - Form control
+     * @returns {boolean} True for number/range inputs or fields with a numeric rule
+     */
+    static _isNumericField(el) {
+        return el.type === 'number' || el.type === 'range' ||
+            /(^|\|)(numeric|integer)(\||$)/.test(el.getAttribute('wisp:rules') || '');
+    }
 
-            const componentEl = el.closest('[wisp\\:component]');
-            if (!componentEl) return;
+    /**
+     * Finds closest component name
+     * @static
+     * @param {HTMLElement} el - Starting element
+     * @returns {string|null} Component name or null
+     */
+    static closestComponent(el) {
+        const componentEl = el.closest('[wisp\\:component]');
+        return componentEl?.getAttribute('wisp:component') || null;
+    }
 
-            const componentData = JSON.parse(componentEl.getAttribute('wisp:data') || '{}');
+    /**
+     * Binds polling handlers
+     * @static
+     * @param {Document|HTMLElement} [root=document] - Subtree to bind
+     * @description
+     * Every wisp:poll element gets its own poller, so instances of the same component
+     * poll independently. Pollers of removed elements, or of elements whose `wisp:poll`
+     * was removed or no longer parses, are stopped; running pollers whose interval did
+     * not change are kept.
+     */
+    static bindPolling(root = document) {
+        this.timers.forEach((poller, el) => {
+            if (!el.isConnected || this._pollInterval(el) === null) this._stopPoller(el);
+        });
 
-            if (el.type === 'checkbox') {
-                el.checked = !!componentData[modelName];
-            } else if (el.type === 'radio') {
-                el.checked = componentData[modelName] === el.value;
-            } else {
-                el.value = componentData[modelName] ?? '';
-            }
+        this._bindableElements(root, '[wisp\\:poll]').forEach(el => {
+            if (!this.closestComponent(el)) return;
 
-            const updateValue = () => {
-                const value = el.type === 'checkbox' ? el.checked : el.value;
-                this.call(component, '__updateModel', { [modelName]: value }, el);
-            };
+            const interval = this._pollInterval(el);
+            if (interval === null) return;
 
-            el.removeEventListener('input', el._wispInputHandler);
-            el.removeEventListener('change', el._wispChangeHandler);
-            el.removeEventListener('blur', el._wispBlurHandler);
+            const existing = this.timers.get(el);
+            if (existing?.interval === interval) return;
+            if (existing) this._stopPoller(el);
 
-            if (el.tagName === 'SELECT' || el.type === 'checkbox' || el.type === 'radio') {
-                el._wispChangeHandler = updateValue;
-                el.addEventListener('change', el._wispChangeHandler);
-            } else {
-                if (quietMode) {
-                    el._wispInputHandler = this.debounceQuiet(updateValue, parseInt(delay));
-                } else {
-                    el._wispInputHandler = this.debounce(updateValue, parseInt(delay));
-                }
+            const poller = { el, interval, failures: 0, timer: null, visible: true, missed: false };
+            this.timers.set(el, poller);
 
-                el.addEventListener('input', el._wispInputHandler);
+            if ('IntersectionObserver' in window) {
+                this.pollObserver ??= new IntersectionObserver(entries => {
+                    entries.forEach(entry => {
+                        const target = this.timers.get(entry.target);
+                        if (!target) return;
 
-                if (!quietMode) {
-                    el._wispBlurHandler = updateValue;
-                    el.addEventListener('blur', el._wispBlurHandler);
-                }
+                        target.visible = entry.isIntersecting;
+                        if (target.visible && target.missed) this._pollNow(target);
+                    });
+                });
+                this.pollObserver.observe(el);
             }
+
+            this._schedulePoll(poller);
         });
     }
 
     /**
-     * Binds navigation handlers
+     * Parses the interval of an element's `wisp:poll` attribute
+     * @private
      * @static
+     * @param {HTMLElement} el - Polling element
+     * @returns {number|null} Interval in milliseconds, or null without a valid `wisp:poll`
      */
-    static bindNavigation() {
-        document.querySelectorAll('a[wisp\\:navigate], a[wisp-navigate]').forEach(link => {
-            link.removeEventListener('click', this.handleNavigate);
-            link.addEventListener('click', this.handleNavigate);
-        });
+    static _pollInterval(el) {
+        const timeMatch = el.getAttribute('wisp:poll')?.match(/(\d+)(s|ms)/);
+        if (!timeMatch) return null;
+
+        const value = parseInt(timeMatch[1]);
+        return timeMatch[2] === 's' ? value * 1000 : value;
     }
 
     /**
-     * Handles navigation link clicks
+     * Schedules the next tick of a poller
+     * @private
      * @static
-     * @param {Event} e - Click event
+     * @param {Object} poller - Poller entry
+     * @description
+     * After failed polls the interval doubles (up to 32 times) and every delay
+     * gets ±10% jitter so many clients don't poll in lockstep.
      */
-    static handleNavigate = (e) => {
-        e.preventDefault();
-        const url = e.currentTarget.getAttribute('href');
-        if (!url || url === '#') return;
+    static _schedulePoll(poller) {
+        const backoff = 2 ** Math.min(poller.failures, 5);
+        const jitter = 0.9 + Math.random() * 0.2;
 
-        this.navigate(url);
-    };
+        clearTimeout(poller.timer);
+        poller.timer = setTimeout(() => this._poll(poller), poller.interval * backoff * jitter);
+    }
 
     /**
-     * Navigates to URL with AJAX
+     * Runs a pending poll right away, e.g. when the tab or element becomes visible again
+     * @private
      * @static
-     * @async
-     * @param {string} url - URL to navigate to
-     * @param {Object} [options={pushState: true}] - Navigation options
+     * @param {Object} poller - Poller entry
      */
-    static async navigate(url, options = { pushState: true }) {
-        try {
-            const startTime = performance.now();
-
-            this.showNavigationProgressBar();
-
-            const response = await fetch(url, {
-                headers: {
-                    'X-Requested-With': 'X-Wisp-Navigate',
-                    'Accept': 'text/html'
-                }
-            });
-
-            if (!response.ok) {
-                this.throwWispError(`Navigation failed: ${response.status}`, true);
-            }
-
-            const html = await response.text();
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(html, 'text/html');
+    static _pollNow(poller) {
+        clearTimeout(poller.timer);
+        this._poll(poller);
+    }
 
-            // Replace only #app if it exists
-            const newApp = doc.querySelector('#app');
-            const currentApp = document.querySelector('#app');
-            if (newApp && currentApp) {
-                currentApp.innerHTML = newApp.innerHTML;
-            } else {
-                document.body.innerHTML = doc.body.innerHTML;
-            }
+    /**
+     * Runs one tick of a poller
+     * @private
+     * @static
+     * @async
+     * @param {Object} poller - Poller entry
+     * @description
+     * Hidden tabs and offscreen elements are skipped unless `wisp:poll.keep-alive`
+     * is set; the skipped poll runs once they become visible again.
+     * `wisp:poll.if` is evaluated on every tick, and the poller stops once its element
+     * no longer has `wisp:poll`.
+     */
+    static async _poll(poller) {
+        const { el } = poller;
+        if (this.timers.get(el) !== poller) return;
+        if (!el.hasAttribute('wisp:poll')) {
+            this._stopPoller(el);
+            return;
+        }
 
-            document.title = doc.title;
+        const keepAlive = el.hasAttribute('wisp:poll.keep-alive');
+        if (!keepAlive && (document.hidden || !poller.visible)) {
+            poller.missed = true;
+            return;
+        }
+        poller.missed = false;
 
-            if (this.config.enablePerformanceLogging) {
-                const duration = performance.now() - startTime;
-                console.debug(`Wisp navigate took ${duration.toFixed(2)}ms`);
-            }
+        const condition = el.getAttribute('wisp:poll.if');
+        const component = this.closestComponent(el);
+        if (!component || (condition && !this.evaluateCondition(condition, el))) {
+            this._schedulePoll(poller);
+            return;
+        }
 
-            this.bind();
-            this.bindNavigation();
+        const action = this._parseActionFor(el, el.getAttribute('wisp:target') || el.getAttribute('wisp:click') || 'poll');
+        if (!action) {
+            this._schedulePoll(poller);
+            return;
+        }
 
-            window.scrollTo(0, 0);
-            if (options.pushState !== false) {
-                window.history.pushState({}, '', url);
+        const { method, params } = action;
+        const componentEl = el.closest('[wisp\\:component]');
+        if (this.emit('poll', this._eventDetail(componentEl, component, method, { trigger: el, interval: poller.interval }))) {
+            try {
+                await this.call(component, method, params ? { params } : {}, el);
+                poller.failures = 0;
+            } catch {
+                poller.failures++;
             }
-        } catch (err) {
-            this.throwWispError(err.message);
-            window.location.href = url; // fallback
         }
-        finally {
-            this.hideNavigationProgressBar();
+
+        if (this.timers.get(el) === poller) {
+            this._schedulePoll(poller);
         }
     }
 
     /**
-     * Shows navigation progress bar
+     * Stops the poller of an element
+     * @private
      * @static
+     * @param {HTMLElement} el - wisp:poll element
      */
-    static showNavigationProgressBar() {
-        if (!this.config.navigationProgressBar) return;
-        this.injectNavigationProgressBar();
-        const bar = document.getElementById('wisp-progress-bar');
-        if (!bar) return;
-        bar.style.opacity = '1';
-        bar.style.width = '0';
-        setTimeout(() => { bar.style.width = '80%'; }, 10);
+    static _stopPoller(el) {
+        const poller = this.timers.get(el);
+        if (!poller) return;
+
+        clearTimeout(poller.timer);
+        this.pollObserver?.unobserve(el);
+        this.timers.delete(el);
     }
 
     /**
-     * Hides navigation progress bar
+     * Resumes pollers that skipped a tick while the tab was hidden
      * @static
      */
-    static hideNavigationProgressBar() {
-        if (!this.config.navigationProgressBar) return;
-        const bar = document.getElementById('wisp-progress-bar');
-        if (!bar) return;
-        bar.style.width = '100%';
-        setTimeout(() => {
-            bar.style.opacity = '0';
-            bar.style.width = '0';
-        }, 400);
-    }
+    static handleVisibilityChange = () => {
+        if (document.hidden) return;
+
+        this.timers.forEach(poller => {
+            if (poller.missed && poller.visible) this._pollNow(poller);
+        });
+    };
 
     /**
-     * Injects progress bar into DOM
+     * Evaluates polling condition
      * @static
+     * @param {string} condition - Condition to evaluate
+     * @param {HTMLElement} element - Element to check
+     * @returns {boolean} True if condition met
+     * @description
+     * Supported conditions: `visible`, `online`, `focused` (the window has focus),
+     * `data-foo` (the element has the attribute) and `data-foo=bar` (the attribute
+     * has that value). Prefix a condition with `!` to negate it.
      */
-    static injectNavigationProgressBar() {
-        if (document.getElementById('wisp-progress-bar')) return;
-        const bar = document.createElement('div');
-        bar.id = 'wisp-progress-bar';
-        const color = this.config.navigationProgressBarColor || '#29d';
-        const height = this.config.navigationProgressBarHeight || '3px';
-        bar.style.cssText = `
-            position:fixed;top:0;left:0;height:${height};width:0;
-            background:${color};z-index:99999;transition:width 0.2s,opacity 0.4s;
-            opacity:0;
-        `;
-        document.body.appendChild(bar);
+    static evaluateCondition(condition, element) {
+        condition = condition.trim();
+
+        if (condition.startsWith('!')) {
+            return !this.evaluateCondition(condition.slice(1), element);
+        }
+
+        if (condition === 'visible') {
+            return element.offsetParent !== null;
+        }
+
+        if (condition === 'online') {
+            return navigator.onLine !== false;
+        }
+
+        if (condition === 'focused') {
+            return document.hasFocus();
+        }
+
+        if (condition.startsWith('data-')) {
+            const [attr, value] = condition.split('=');
+            return value === undefined
+                ? element.hasAttribute(attr)
+                : element.getAttribute(attr) === value;
+        }
+
+        return true;
     }
 
     /**
-     * Debounces function execution
+     * Transports for wisp:stream channels
      * @static
-     * @param {Function} fn - Function to debounce
-     * @param {number} [delay=config.defaultDebounce] - Debounce delay
-     * @returns {Function} Debounced function
+     * @type {Object<string, Function>}
+     * @description
+     * An adapter is called as `adapter(url, { channel, lastEventId, open, message, close })`
+     * and returns an object with a `close()` method. It calls `open()` once connected,
+     * `message(data, eventId)` for every message and `close()` when the connection is lost.
      */
-    static debounce(fn, delay = this.config.defaultDebounce) {
-        let timeoutId;
-        return (...args) => {
-            clearTimeout(timeoutId);
-            timeoutId = setTimeout(() => fn(...args), delay);
-        };
-    }
+    static streamAdapters = {
+        sse: (url, { open, message, close }) => {
+            const source = new EventSource(url, { withCredentials: this.config.credentials === 'include' });
+            source.onopen = () => open();
+            source.onmessage = (e) => message(e.data, e.lastEventId || null);
+            source.onerror = () => {
+                source.close();
+                close();
+            };
+            return { close: () => source.close() };
+        },
+        websocket: (url, { open, message, close }) => {
+            const socket = new WebSocket(url.replace(/^http/, 'ws'));
+            let closed = false;
+            socket.onopen = () => open();
+            socket.onmessage = (e) => message(e.data, null);
+            socket.onclose = () => {
+                if (!closed) close();
+            };
+            return {
+                close: () => {
+                    closed = true;
+                    socket.close();
+                }
+            };
+        }
+    };
 
     /**
-     * Debounces with quiet period
+     * Subscribes wisp:stream elements to their channels
      * @static
-     * @param {Function} fn - Function to debounce
-     * @param {number} [quietPeriod=config.quietDebounce] - Quiet period
-     * @returns {Function} Debounced function
+     * @param {Document|HTMLElement} [root=document] - Subtree to bind
+     * @description
+     * Channels whose elements were all removed from the page are closed.
      */
-    static debounceQuiet(fn, quietPeriod = this.config.quietDebounce) {
-        let timeoutId;
-        let lastKeystroke = 0;
-
-        return (...args) => {
-            const now = Date.now();
-            lastKeystroke = now;
-
-            clearTimeout(timeoutId);
+    static bindStreams(root = document) {
+        this._pruneStreams();
 
-            timeoutId = setTimeout(() => {
-                if (now === lastKeystroke) {
-                    fn(...args);
-                }
-            }, quietPeriod);
-        };
+        this._bindableElements(root, '[wisp\\:stream]').forEach(el => {
+            this.subscribe(el.getAttribute('wisp:stream'), el);
+        });
     }
 
     /**
-     * Dispatches component update event
+     * Forgets removed stream elements and closes channels nobody listens to anymore
+     * @private
      * @static
-     * @param {string} component - Component name
-     * @param {Object} data - Updated data
+     * @description
+     * Channels opened with `Wisp.subscribe(channel)` from code stay open until
+     * `Wisp.unsubscribe(channel)` is called.
      */
-    static dispatchUpdate(component, data) {
-        document.dispatchEvent(new CustomEvent('wisp:update', {
-            detail: { component, data }
-        }));
+    static _pruneStreams() {
+        this.streams.forEach((stream, channel) => {
+            stream.elements.forEach(el => {
+                if (!el.isConnected) stream.elements.delete(el);
+            });
+            if (stream.elements.size === 0 && !stream.manual) this.unsubscribe(channel);
+        });
     }
 
     /**
-     * Handles click events
+     * Subscribes to a push channel
      * @static
-     * @param {Event} e - Click event
+     * @param {string} channel - Channel name
+     * @param {HTMLElement|null} [el=null] - Element that shows the connection state
+     * @description
+     * Messages are JSON with the same shape as a call response: `{ id, view, checksum, data }`
+     * or `{ components }`. Updates without a view patch the component's wisp:data.
+     * Subscribed elements get `wisp:stream.state` set to connecting, connected or disconnected.
      */
-    static handleClick = (e) => {
-        e.preventDefault();
-        const method = e.currentTarget.getAttribute('wisp:click');
-        const component = this.closestComponent(e.currentTarget);
-        if (component) this.call(component, method, {}, e.currentTarget);
-    };
+    static subscribe(channel, el = null) {
+        if (!channel) return;
 
-    /**
-     * Handles form submissions
-     * @static
-     * @param {Event} e - Submit event
-     */
-    static handleSubmit = (e) => {
-        e.preventDefault();
-        const form = e.currentTarget;
-        const method = form.getAttribute('wisp:submit');
-        const component = this.closestComponent(form);
-        if (component) {
-            const formData = new FormData(form);
-            this.call(component, method, Object.fromEntries(formData.entries()), form);
+        let stream = this.streams.get(channel);
+        if (!stream) {
+            stream = { channel, elements: new Set(), manual: false, connection: null, lastEventId: null, attempts: 0, timer: null, state: null };
+            this.streams.set(channel, stream);
+            this._connectStream(stream);
         }
-    };
 
+        if (el) {
+            stream.elements.add(el);
+            el.setAttribute('wisp:stream.state', stream.state);
+        } else {
+            stream.manual = true;
+        }
+    }
 
     /**
-     * Finds closest component name
+     * Closes a push channel
      * @static
-     * @param {HTMLElement} el - Starting element
-     * @returns {string|null} Component name or null
+     * @param {string} channel - Channel name
      */
-    static closestComponent(el) {
-        const componentEl = el.closest('[wisp\\:component]');
-        return componentEl?.getAttribute('wisp:component') || null;
+    static unsubscribe(channel) {
+        const stream = this.streams.get(channel);
+        if (!stream) return;
+
+        this.streams.delete(channel);
+        clearTimeout(stream.timer);
+        stream.connection?.close();
+        this._setStreamState(stream, 'disconnected');
     }
 
     /**
-     * Binds polling handlers
+     * Opens the connection of a stream and reconnects with backoff when it drops
+     * @private
      * @static
+     * @param {Object} stream - Stream entry
      */
-    static bindPolling() {
-        this.timers.forEach((timer, component) => {
-            clearInterval(timer);
-            this.timers.delete(component);
-        });
+    static _connectStream(stream) {
+        const adapter = typeof this.config.streamAdapter === 'function'
+            ? this.config.streamAdapter
+            : this.streamAdapters[this.config.streamAdapter];
 
-        document.querySelectorAll('[wisp\\:poll]').forEach(el => {
-            const timeSpec = el.getAttribute('wisp:poll');
-            const component = this.closestComponent(el);
-            const method = el.getAttribute('wisp:target') || el.getAttribute('wisp:click') || 'poll';
+        if (!adapter) {
+            this.throwWispError(`Unknown stream adapter "${this.config.streamAdapter}"`);
+            return;
+        }
 
-            if (!component) return;
+        const url = new URL(this.config.streamEndpoint || window.location.href, window.location.href);
+        url.searchParams.set('channel', stream.channel);
+        if (stream.lastEventId) {
+            url.searchParams.set('lastEventId', stream.lastEventId);
+        }
 
-            if (el.hasAttribute('wisp:poll.if')) {
-                const condition = el.getAttribute('wisp:poll.if');
-                if (!this.evaluateCondition(condition, el)) {
-                    return;
-                }
-            }
+        this._setStreamState(stream, 'connecting');
 
-            const timeMatch = timeSpec.match(/(\d+)(s|ms)/);
-            if (!timeMatch) return;
+        stream.connection = adapter(url.toString(), {
+            channel: stream.channel,
+            lastEventId: stream.lastEventId,
+            open: () => {
+                stream.attempts = 0;
+                this._setStreamState(stream, 'connected');
+                this.emit('stream:open', this._eventDetail(null, null, null, { channel: stream.channel }));
+            },
+            message: (data, eventId) => this._handleStreamMessage(stream, data, eventId),
+            close: () => {
+                if (this.streams.get(stream.channel) !== stream) return;
 
-            const value = parseInt(timeMatch[1]);
-            const unit = timeMatch[2];
-            const interval = unit === 's' ? value * 1000 : value;
+                this._setStreamState(stream, 'disconnected');
+                this.emit('stream:close', this._eventDetail(null, null, null, { channel: stream.channel }));
 
-            this.timers.set(component, setInterval(() => {
-                this.call(component, method, {}, el);
-            }, interval));
+                const delay = Math.min(this.config.streamRetryDelay * 2 ** stream.attempts++, 30000);
+                clearTimeout(stream.timer);
+                stream.timer = setTimeout(() => this._connectStream(stream), delay);
+            }
         });
     }
 
     /**
-     * Evaluates polling condition
+     * Sets the connection state of a stream on its elements
+     * @private
      * @static
-     * @param {string} condition - Condition to evaluate
-     * @param {HTMLElement} element - Element to check
-     * @returns {boolean} True if condition met
+     * @param {Object} stream - Stream entry
+     * @param {string} state - connecting, connected or disconnected
      */
-    static evaluateCondition(condition, element) {
-        if (condition === 'visible') {
-            return element.offsetParent !== null;
+    static _setStreamState(stream, state) {
+        stream.state = state;
+        stream.elements.forEach(el => el.setAttribute('wisp:stream.state', state));
+    }
+
+    /**
+     * Applies a message received on a stream
+     * @private
+     * @static
+     * @async
+     * @param {Object} stream - Stream entry
+     * @param {string|Object} data - Message body
+     * @param {string|null} eventId - ID of the message, used to resume after reconnecting
+     */
+    static async _handleStreamMessage(stream, data, eventId) {
+        let message;
+        try {
+            message = typeof data === 'string' ? JSON.parse(data) : data;
+        } catch (error) {
+            console.error('Wisp stream message was not JSON:', error);
+            return;
         }
 
-        if (condition.startsWith('data-')) {
-            const attr = condition.replace('data-', '');
-            return element.hasAttribute(attr);
+        eventId = eventId ?? message.eventId ?? null;
+        if (eventId) stream.lastEventId = eventId;
+
+        if (!this.emit('stream:message', this._eventDetail(null, null, '__stream', { channel: stream.channel, message, eventId }))) {
+            return;
         }
 
-        return true;
+        const startTime = performance.now();
+        try {
+            const updates = message.components ? this._collectComponentUpdates(message) : [message];
+            const targets = updates
+                .map(update => ({ el: this._findComponent(update.id), update }))
+                .filter(({ el }) => el);
+
+            const viewTargets = targets.filter(({ update }) => update.view);
+            const updatedEls = [];
+            if (viewTargets.length > 0) {
+                await this.transition(() => {
+                    viewTargets.forEach(({ el, update }) => {
+                        updatedEls.push(this._applyComponentUpdate(el, update, '__stream', startTime));
+                    });
+                }, { elements: viewTargets.map(({ el }) => el) });
+            }
+
+            targets.filter(({ update }) => !update.view && update.data).forEach(({ el, update }) => {
+                const data = { ...JSON.parse(el.getAttribute('wisp:data') || '{}'), ...update.data };
+                el.setAttribute('wisp:data', JSON.stringify(data));
+                if (update.checksum !== undefined) {
+                    el.setAttribute('wisp:checksum', update.checksum);
+                }
+                updatedEls.push(el);
+                this.dispatchUpdate(el.getAttribute('wisp:component'), update.data, el, '__stream');
+            });
+
+            updatedEls.filter(el => el?.isConnected).forEach(el => this.bind(el));
+        } catch (error) {
+            // Nothing awaits stream messages, so failures are reported here instead of rethrown
+            this.throwWispError(error.message);
+            console.error('Wisp stream error:', error);
+            this.reportError(error, { method: '__stream' });
+            this.emit('error', this._eventDetail(null, null, '__stream', {
+                error,
+                channel: stream.channel,
+                duration: performance.now() - startTime
+            }));
+        }
     }
 
     /**
@@ -986,26 +5467,30 @@ class Wisp {
      * @static
      */
     static cleanup() {
-        this.timers.forEach(timer => clearInterval(timer));
-        this.timers.clear();
+        this.flushErrorReports(true);
 
-        document.querySelectorAll('[wisp\\:click], [wisp\\:submit]').forEach(el => {
-            el.removeEventListener('click', this.handleClick);
-            el.removeEventListener('submit', this.handleSubmit);
-        });
+        this.timers.forEach((poller, el) => this._stopPoller(el));
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
 
-        document.querySelectorAll('[wisp\\:model]').forEach(el => {
-            el.removeEventListener('input', el._wispInputHandler);
-            el.removeEventListener('change', el._wispChangeHandler);
-            el.removeEventListener('blur', el._wispBlurHandler);
+        ['click', 'submit', 'input', 'change', 'focusout', 'mouseover', 'focusin', 'touchstart'].forEach(type => {
+            document.removeEventListener(type, this.handleDelegatedEvent);
         });
+        this.delegated = false;
 
         if (this.observer) {
             this.observer.disconnect();
             this.observer = null;
         }
 
+        this.browserEvents.forEach(name => window.removeEventListener(name, this.handleBrowserEvent));
+        this.browserEvents.clear();
+
+        this.globalDirectives.forEach(el => this._removeDirectives(el));
+
+        this.requestQueues.forEach((queue, key) => this.abort(key));
         this.pendingRequests.clear();
+
+        this.streams.forEach((stream, channel) => this.unsubscribe(channel));
     }
 }
 